@@ -0,0 +1,212 @@
+const GenerateAnalysis = require('./GenerateAnalysis.js');
+const ExplainedAnalysis = require('./ExplainedAnalysis.js');
+
+// The pipeline takes the parameters of both stage tasks, except the explanation stage's sourceDocumentId,
+// which is the analysis the detection stage writes. A setting both stages declare, such as timeout, applies
+// to both and has no pipeline default, so that each stage falls back to its own.
+const pipelineParameterSchema = () => {
+    const schema = { ...GenerateAnalysis.parameterSchema };
+    Object.entries(ExplainedAnalysis.parameterSchema)
+        .filter(([name]) => name !== 'sourceDocumentId')
+        .forEach(([name, field]) => {
+            if (!schema[name]) {
+                schema[name] = field;
+                return;
+            }
+            schema[name] = {
+                ...field,
+                default: undefined,
+                description: schema[name].description === field.description ? field.description
+                    : `Detection: ${schema[name].description}. Explanation: ${field.description}`
+            };
+        });
+    return schema;
+};
+
+module.exports = {
+    // Declared parameters, checked before the task starts and exposed so UIs can render a form from them
+    parameterSchema: pipelineParameterSchema(),
+
+    runTask: async function () {
+        try {
+            const STAGES = ['detection', 'explanation', 'linking'];
+
+            // Check every parameter against the declared schema before any stage starts
+            const { validateParameters } = require('./ParameterSchema.js');
+            const params = validateParameters(module.exports.parameterSchema, this.parameters);
+
+            // Cooperative cancellation: cancelTask aborts the controller and cancels the running stage
+            const { createCancellationError, createCancellation } = require('./Cancellation.js');
+            this.abortController = new AbortController();
+            if (this.cancelled) {
+                this.abortController.abort();
+            }
+            const { throwIfCancelled } = createCancellation(this.abortController.signal);
+
+            this.logInfo("Initializing bias analysis pipeline...");
+            const documentModule = await this.loadModule("document");
+
+            // Resume from the checkpoint restored from serialize(); stage outputs are kept so finished stages are skipped
+            const checkpoint = this.checkpoint || {
+                stage: 'detection',
+                analysisDocumentId: null,
+                explainedDocumentId: null,
+                explainedCheckpoint: null
+            };
+            this.checkpoint = checkpoint;
+
+            // Each stage gets every given parameter its own task declares, so stage options are not dropped on the way
+            // and settings both stages declare, such as timeout, apply to both; stages fill in their own defaults
+            const stageParameters = (taskModule, overrides = {}) => ({
+                ...Object.fromEntries(Object.keys(taskModule.parameterSchema)
+                    .filter(name => params[name] !== undefined)
+                    .map(name => [name, params[name]])),
+                ...overrides
+            });
+
+            // Run a stage task in a child context that shares this task's space and modules,
+            // with its log lines prefixed so the combined progress reads as one task
+            const runStage = async (taskModule, parameters, extra = {}) => {
+                const stageIndex = STAGES.indexOf(checkpoint.stage) + 1;
+                const prefix = `[${stageIndex}/${STAGES.length} ${checkpoint.stage}]`;
+                const stage = Object.create(this);
+                Object.assign(stage, {
+                    parameters,
+                    cancelled: false,
+                    checkpoint: null,
+                    logInfo: (message, ...rest) => this.logInfo(`${prefix} ${message}`, ...rest),
+                    logProgress: (message, ...rest) => this.logProgress(`${prefix} ${message}`, ...rest),
+                    logSuccess: (message, ...rest) => this.logSuccess(`${prefix} ${message}`, ...rest),
+                    logWarning: (message, ...rest) => this.logWarning(`${prefix} ${message}`, ...rest),
+                    logError: (message, ...rest) => this.logError(`${prefix} ${message}`, ...rest)
+                }, extra);
+                this.activeStage = { taskModule, stage };
+                try {
+                    const stageResult = await taskModule.runTask.call(stage);
+                    if (stageResult.status === 'cancelled') {
+                        throw createCancellationError();
+                    }
+                    return stageResult;
+                } finally {
+                    this.activeStage = null;
+                    // Only ExplainedAnalysis keeps a checkpoint; hold on to it in case this stage has to be resumed
+                    if (stage.checkpoint) {
+                        checkpoint.explainedCheckpoint = stage.checkpoint;
+                    }
+                }
+            };
+
+            // Stage 1: detect biases
+            if (checkpoint.stage === 'detection') {
+                throwIfCancelled();
+                this.logProgress(`Stage 1/${STAGES.length}: detecting biases...`);
+                const detection = await runStage(GenerateAnalysis, stageParameters(GenerateAnalysis));
+                checkpoint.analysisDocumentId = detection.documentId;
+                checkpoint.stage = 'explanation';
+            }
+
+            // Stage 2: explain the detected biases from every personality, resuming its own checkpoint
+            if (checkpoint.stage === 'explanation') {
+                throwIfCancelled();
+                this.logProgress(`Stage 2/${STAGES.length}: explaining biases with personalities...`);
+                const explanation = await runStage(ExplainedAnalysis, stageParameters(ExplainedAnalysis, {
+                    sourceDocumentId: checkpoint.analysisDocumentId
+                }), { checkpoint: checkpoint.explainedCheckpoint });
+                checkpoint.explainedDocumentId = explanation.documentId;
+                checkpoint.explainedCheckpoint = null;
+                checkpoint.stage = 'linking';
+            }
+
+            // Stage 3: link the two output documents to each other
+            if (checkpoint.stage === 'linking') {
+                throwIfCancelled();
+                this.logProgress(`Stage 3/${STAGES.length}: linking documents...`);
+                const links = {
+                    analysisDocumentId: checkpoint.analysisDocumentId,
+                    explainedDocumentId: checkpoint.explainedDocumentId
+                };
+                // Both documents are already written, so a document that cannot be linked is reported, not fatal
+                for (const documentId of Object.values(links)) {
+                    const document = await documentModule.getDocument(this.spaceId, documentId);
+                    if (!document) {
+                        this.logWarning(`Document ${documentId} no longer exists; it was not linked`);
+                        continue;
+                    }
+                    let abstract = {};
+                    try {
+                        abstract = document.abstract ? JSON.parse(document.abstract) : {};
+                    } catch (error) {
+                        this.logWarning(`Abstract of document ${documentId} is not JSON; replacing it with the pipeline links`);
+                    }
+                    if (!abstract || typeof abstract !== 'object' || Array.isArray(abstract)) {
+                        abstract = {};
+                    }
+                    // updateDocument replaces the stored document, so the whole document is written back
+                    await documentModule.updateDocument(this.spaceId, documentId, {
+                        ...document,
+                        abstract: JSON.stringify({ ...abstract, ...links }, null, 2)
+                    });
+                }
+                checkpoint.stage = 'completed';
+            }
+
+            this.logSuccess(`Pipeline completed: analysis ${checkpoint.analysisDocumentId}, explanation ${checkpoint.explainedDocumentId}`);
+            return {
+                status: 'completed',
+                analysisDocumentId: checkpoint.analysisDocumentId,
+                explainedDocumentId: checkpoint.explainedDocumentId,
+                documentId: checkpoint.explainedDocumentId
+            };
+
+        } catch (error) {
+            if (error.cancelled) {
+                this.logWarning(`Bias analysis pipeline cancelled during the ${this.checkpoint ? this.checkpoint.stage : 'detection'} stage`);
+                return {
+                    status: 'cancelled'
+                };
+            }
+            this.logError(`Error in bias analysis pipeline: ${error.message}`);
+            throw error;
+        }
+    },
+
+    cancelTask: async function () {
+        this.cancelled = true;
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+        if (this.activeStage) {
+            await this.activeStage.taskModule.cancelTask.call(this.activeStage.stage);
+        }
+        this.logWarning("Task cancelled by user");
+    },
+
+    serialize: async function () {
+        // Keep the running explanation stage's checkpoint so a restart does not rescore finished personalities
+        if (this.checkpoint && this.activeStage && this.activeStage.stage.checkpoint) {
+            this.checkpoint.explainedCheckpoint = this.activeStage.stage.checkpoint;
+        }
+        return {
+            taskType: 'BiasAnalysisPipeline',
+            parameters: this.parameters,
+            checkpoint: this.checkpoint || null
+        };
+    },
+
+    getRelevantInfo: async function () {
+        // Progress of the stage task that is running right now, as that task reports it
+        let stageProgress = null;
+        if (this.activeStage) {
+            const stageInfo = await this.activeStage.taskModule.getRelevantInfo.call(this.activeStage.stage);
+            stageProgress = stageInfo.progress || null;
+        }
+        return {
+            taskType: 'BiasAnalysisPipeline',
+            parameters: this.parameters,
+            stage: this.checkpoint ? this.checkpoint.stage : 'detection',
+            stageProgress,
+            analysisDocumentId: this.checkpoint ? this.checkpoint.analysisDocumentId : null,
+            explainedDocumentId: this.checkpoint ? this.checkpoint.explainedDocumentId : null
+        };
+    }
+};
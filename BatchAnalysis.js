@@ -0,0 +1,317 @@
+const GenerateAnalysis = require('./GenerateAnalysis.js');
+
+// Every item is analyzed with the same settings: all GenerateAnalysis parameters except the input itself
+const analysisParameterSchema = Object.fromEntries(Object.entries(GenerateAnalysis.parameterSchema)
+    .filter(([name]) => name !== 'text' && name !== 'documentId'));
+
+module.exports = {
+    // Declared parameters, checked before the task starts and exposed so UIs can render a form from them
+    parameterSchema: {
+        ...analysisParameterSchema,
+        // Texts are prose and may contain commas, so only document ids can be given as a comma-separated string
+        texts: { type: 'list', commaSeparated: false, description: 'Texts to analyze, as an array or a JSON array string' },
+        documentIds: { type: 'list', description: 'Documents to analyze, as an array, a JSON array string or a comma-separated string' },
+        documentType: { type: 'string', description: 'Also analyze every document of this type' },
+        concurrency: { type: 'integer', min: 1, max: 10, default: 3, description: 'Items analyzed at the same time' }
+    },
+
+    runTask: async function () {
+        try {
+            // Check every parameter against the declared schema before any module is loaded
+            const { validateParameters } = require('./ParameterSchema.js');
+            const params = validateParameters(module.exports.parameterSchema, this.parameters);
+
+            // Cooperative cancellation: cancelTask aborts the controller and cancels the running stages
+            const { createCancellation } = require('./Cancellation.js');
+            this.abortController = new AbortController();
+            const abortSignal = this.abortController.signal;
+            if (this.cancelled) {
+                this.abortController.abort();
+            }
+            const { throwIfCancelled } = createCancellation(abortSignal);
+
+            this.logInfo("Initializing batch bias analysis task...");
+            const documentModule = await this.loadModule("document");
+            const spaceModule = await this.loadModule("space");
+
+            // Collect the corpus: explicit texts, explicit document ids, and every document of a given type
+            const items = [];
+            (params.texts || []).forEach((text, index) => {
+                items.push({ source: `text ${index + 1}`, text });
+            });
+            (params.documentIds || []).forEach(documentId => {
+                items.push({ source: `document ${documentId}`, documentId });
+            });
+            if (params.documentType) {
+                const documents = await documentModule.getDocumentsMetadata(this.spaceId);
+                (documents || [])
+                    .filter(metadata => metadata.type === params.documentType)
+                    .forEach(metadata => {
+                        if (!items.some(item => item.documentId === metadata.id)) {
+                            items.push({ source: metadata.title || `document ${metadata.id}`, documentId: metadata.id });
+                        }
+                    });
+            }
+            if (!items.length) {
+                throw new Error('No texts, documentIds or documents of the given documentType to analyze');
+            }
+
+            const concurrency = params.concurrency;
+            this.logInfo(`Analyzing ${items.length} item(s) with up to ${concurrency} running at a time`);
+
+            // Run GenerateAnalysis for one item in a child context; every running item is tracked for cancellation
+            const analysisParameters = Object.fromEntries(Object.keys(analysisParameterSchema)
+                .filter(name => params[name] !== undefined)
+                .map(name => [name, params[name]]));
+            this.activeStages = new Set();
+            const analyzeItem = async (item, index) => {
+                const prefix = `[item ${index + 1}/${items.length}]`;
+                const stage = Object.create(this);
+                Object.assign(stage, {
+                    parameters: {
+                        ...analysisParameters,
+                        ...(item.documentId ? { documentId: item.documentId } : { text: item.text })
+                    },
+                    cancelled: false,
+                    logInfo: (message, ...rest) => this.logInfo(`${prefix} ${message}`, ...rest),
+                    logProgress: (message, ...rest) => this.logProgress(`${prefix} ${message}`, ...rest),
+                    logSuccess: (message, ...rest) => this.logSuccess(`${prefix} ${message}`, ...rest),
+                    logWarning: (message, ...rest) => this.logWarning(`${prefix} ${message}`, ...rest),
+                    logError: (message, ...rest) => this.logError(`${prefix} ${message}`, ...rest)
+                });
+                const active = { taskModule: GenerateAnalysis, stage };
+                this.activeStages.add(active);
+                try {
+                    return await GenerateAnalysis.runTask.call(stage);
+                } finally {
+                    this.activeStages.delete(active);
+                }
+            };
+
+            // Worker pool: each worker takes the next item until none are left; a failing item does not stop the batch
+            const results = new Array(items.length);
+            let nextIndex = 0;
+            let finished = 0;
+            const worker = async () => {
+                while (nextIndex < items.length && !abortSignal.aborted) {
+                    const index = nextIndex++;
+                    const item = items[index];
+                    try {
+                        const itemResult = await analyzeItem(item, index);
+                        if (itemResult.status === 'cancelled') {
+                            results[index] = { ...item, status: 'cancelled' };
+                        } else {
+                            results[index] = {
+                                ...item,
+                                status: 'completed',
+                                analysisDocumentId: itemResult.documentId,
+                                biases: itemResult.result.biases.map(bias => ({ bias_id: bias.bias_id, bias_label: bias.bias_label }))
+                            };
+                        }
+                    } catch (error) {
+                        this.logWarning(`Analysis failed for ${item.source}: ${error.message}`);
+                        results[index] = { ...item, status: 'failed', error: error.message };
+                    }
+                    finished++;
+                    this.logProgress(`Analyzed ${finished}/${items.length} item(s)`);
+                }
+            };
+            await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+            throwIfCancelled();
+
+            const completed = results.filter(result => result.status === 'completed');
+            const failed = results.filter(result => result.status === 'failed');
+            if (!completed.length) {
+                throw new Error(`All ${items.length} item(s) failed to analyze`);
+            }
+
+            // Bias frequency across the corpus, most frequent first
+            const frequencyMap = new Map();
+            results.forEach((result, index) => {
+                if (result.status !== 'completed') {
+                    return;
+                }
+                result.biases.forEach(bias => {
+                    if (!frequencyMap.has(bias.bias_id)) {
+                        frequencyMap.set(bias.bias_id, { bias_id: bias.bias_id, bias_label: bias.bias_label, count: 0, items: [] });
+                    }
+                    const entry = frequencyMap.get(bias.bias_id);
+                    entry.count++;
+                    entry.items.push(index);
+                });
+            });
+            const frequency = [...frequencyMap.values()]
+                .map(entry => ({ ...entry, share: entry.count / completed.length }))
+                .sort((a, b) => b.count - a.count || a.bias_label.localeCompare(b.bias_label));
+
+            // =============================================
+            // SUMMARY DIAGRAM: bias frequency across the corpus
+            // =============================================
+            this.logProgress("Creating frequency chart...");
+            const { createCanvas } = require('canvas');
+            const width = 4000;
+            const padding = 150;
+            const titleHeight = 300;
+            const labelWidth = 1300;
+            const rowHeight = 140;
+            const barThickness = 80;
+            const plotLeft = padding + labelWidth + 60;
+            const plotRight = width - padding - 300;
+            const height = titleHeight + frequency.length * rowHeight + padding;
+            const maxCount = Math.max(...frequency.map(entry => entry.count));
+
+            const canvas = createCanvas(width, height);
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = 'white';
+            ctx.fillRect(0, 0, width, height);
+
+            ctx.font = 'bold 81px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillStyle = 'black';
+            ctx.fillText(`Bias Frequency Across ${completed.length} Analyzed Item(s)`, width / 2, 160);
+
+            frequency.forEach((entry, index) => {
+                const y = titleHeight + index * rowHeight;
+                ctx.fillStyle = index % 2 === 0 ? '#f0f0f0' : '#d8d8d8';
+                ctx.fillRect(padding, y, width - padding * 2, rowHeight);
+
+                ctx.font = 'bold 60px Arial';
+                ctx.textAlign = 'left';
+                ctx.fillStyle = 'black';
+                let label = entry.bias_label;
+                while (label.length > 1 && ctx.measureText(label).width > labelWidth) {
+                    label = label.slice(0, -2) + '…';
+                }
+                ctx.fillText(label, padding + 40, y + rowHeight / 2 + 20);
+
+                const barWidth = (plotRight - plotLeft) * entry.count / maxCount;
+                const barY = y + (rowHeight - barThickness) / 2;
+                ctx.fillStyle = 'rgb(54, 162, 235)';
+                ctx.fillRect(plotLeft, barY, barWidth, barThickness);
+
+                ctx.fillStyle = 'black';
+                ctx.fillText(`${entry.count} (${Math.round(entry.share * 100)}%)`, plotLeft + barWidth + 20, y + rowHeight / 2 + 20);
+            });
+
+            const imageId = await spaceModule.putImage(canvas.toBuffer('image/png'));
+
+            // Save the aggregate report as a document
+            throwIfCancelled();
+            this.logProgress("Saving batch report...");
+            const report = {
+                itemCount: items.length,
+                completedCount: completed.length,
+                failedCount: failed.length,
+                frequency,
+                items: results.map(({ text, ...result }) => result)
+            };
+
+            const documentObj = {
+                title: `bias_batch_${new Date().toISOString()}`,
+                type: 'bias_batch',
+                content: JSON.stringify(report, null, 2),
+                abstract: JSON.stringify({
+                    type: "bias_batch",
+                    personality: params.personality,
+                    topBiases: params.topBiases,
+                    itemCount: items.length,
+                    completedCount: completed.length,
+                    failedCount: failed.length,
+                    analysisDocumentIds: completed.map(result => result.analysisDocumentId),
+                    timestamp: new Date().toISOString()
+                }, null, 2),
+                metadata: {
+                    id: null,
+                    title: `bias_batch_${new Date().toISOString()}`
+                }
+            };
+
+            const documentId = await documentModule.addDocument(this.spaceId, documentObj);
+
+            const summaryChapterId = await documentModule.addChapter(this.spaceId, documentId, {
+                title: "Summary",
+                idea: "How often each bias was detected across the corpus"
+            });
+            await documentModule.addParagraph(this.spaceId, documentId, summaryChapterId, {
+                text: `${completed.length} of ${items.length} item(s) analyzed${failed.length ? `, ${failed.length} failed` : ''}. ${frequency.length} distinct bias type(s) detected.`,
+                commands: {}
+            });
+            await documentModule.addParagraph(this.spaceId, documentId, summaryChapterId, {
+                text: "Bias frequency across the corpus:",
+                commands: {
+                    image: {
+                        id: imageId
+                    }
+                }
+            });
+
+            const frequencyChapterId = await documentModule.addChapter(this.spaceId, documentId, {
+                title: "Bias Frequency",
+                idea: "Number and share of analyzed items in which each bias was detected"
+            });
+            for (const entry of frequency) {
+                await documentModule.addParagraph(this.spaceId, documentId, frequencyChapterId, {
+                    text: `${entry.bias_label}: ${entry.count} of ${completed.length} item(s) (${Math.round(entry.share * 100)}%) — items ${entry.items.map(index => index + 1).join(', ')}`,
+                    commands: {}
+                });
+            }
+
+            const itemsChapterId = await documentModule.addChapter(this.spaceId, documentId, {
+                title: "Items",
+                idea: "Per-item results with links to the individual analysis documents"
+            });
+            for (let i = 0; i < results.length; i++) {
+                const result = results[i];
+                const text = result.status === 'completed'
+                    ? `Item ${i + 1} (${result.source}): analysis document ${result.analysisDocumentId} — ${result.biases.map(bias => bias.bias_label).join(', ')}`
+                    : `Item ${i + 1} (${result.source}): ${result.status}${result.error ? ` — ${result.error}` : ''}`;
+                await documentModule.addParagraph(this.spaceId, documentId, itemsChapterId, {
+                    text,
+                    commands: {}
+                });
+            }
+
+            this.logSuccess(`Batch report saved as document with ID: ${documentId}`);
+            return {
+                status: 'completed',
+                result: report,
+                documentId: documentId
+            };
+
+        } catch (error) {
+            if (error.cancelled) {
+                this.logWarning("Batch bias analysis cancelled before the report was written");
+                return {
+                    status: 'cancelled'
+                };
+            }
+            this.logError(`Error in batch bias analysis: ${error.message}`);
+            throw error;
+        }
+    },
+
+    cancelTask: async function () {
+        this.cancelled = true;
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+        if (this.activeStages) {
+            await Promise.all([...this.activeStages].map(active => active.taskModule.cancelTask.call(active.stage)));
+        }
+        this.logWarning("Task cancelled by user");
+    },
+
+    serialize: async function () {
+        return {
+            taskType: 'BiasBatchAnalysis',
+            parameters: this.parameters
+        };
+    },
+
+    getRelevantInfo: async function () {
+        return {
+            taskType: 'BiasBatchAnalysis',
+            parameters: this.parameters
+        };
+    }
+};
@@ -0,0 +1,22 @@
+// Canonical bias ids shared by the bias tasks.
+// Analyses store a canonical bias_id with every bias; documents written before ids existed only have a
+// free-text bias_type, whose slug stands in for the id so old and new documents can still be aligned.
+
+const crypto = require('crypto');
+
+// Letters and digits of any script are kept, so names in other languages get distinct ids;
+// a name with none at all is identified by a short hash of it instead of an empty id
+const toBiasId = (name) => {
+    const slug = String(name).normalize('NFC').toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '_')
+        .replace(/^_+|_+$/g, '');
+    return slug || `bias_${crypto.createHash('sha256').update(String(name), 'utf8').digest('hex').slice(0, 8)}`;
+};
+
+// The id of a stored bias, derived from its type when the document predates bias ids
+const biasIdOf = (bias) => bias.bias_id || toBiasId(bias.bias_type);
+
+module.exports = {
+    toBiasId,
+    biasIdOf
+};
@@ -0,0 +1,59 @@
+// Cooperative cancellation shared by the bias tasks.
+// A task creates an AbortController when it starts and its cancelTask aborts it. Checks and pending waits
+// bound to the controller's signal then reject with an error marked .cancelled, so callers can tell
+// a cancellation apart from a failure; a wait that runs out of time rejects with an error marked .timedOut.
+
+const createCancellationError = () => {
+    const error = new Error('Task cancelled by user');
+    error.cancelled = true;
+    return error;
+};
+
+const createCancellation = (abortSignal) => {
+    const throwIfCancelled = () => {
+        if (abortSignal.aborted) {
+            throw createCancellationError();
+        }
+    };
+
+    // Races a pending operation against cancellation and an optional timeout
+    const withCancellation = (promise, timeout = 0, timeoutMessage = 'Operation timed out') => {
+        let timer;
+        let onAbort;
+        return Promise.race([
+            promise,
+            new Promise((_, reject) => {
+                if (abortSignal.aborted) {
+                    reject(createCancellationError());
+                    return;
+                }
+                onAbort = () => reject(createCancellationError());
+                abortSignal.addEventListener('abort', onAbort, { once: true });
+                if (timeout > 0) {
+                    timer = setTimeout(() => {
+                        const error = new Error(timeoutMessage);
+                        error.timedOut = true;
+                        reject(error);
+                    }, timeout);
+                }
+            })
+        ]).finally(() => {
+            clearTimeout(timer);
+            abortSignal.removeEventListener('abort', onAbort);
+        });
+    };
+
+    const sleep = (ms) => {
+        let timer;
+        return withCancellation(new Promise(resolve => {
+            timer = setTimeout(resolve, ms);
+        })).finally(() => clearTimeout(timer));
+    };
+
+    return { throwIfCancelled, withCancellation, sleep };
+};
+
+module.exports = {
+    createCancellationError,
+    createCancellation
+};
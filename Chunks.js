@@ -0,0 +1,93 @@
+// Chunking of long texts for the bias analysis.
+// A text longer than one LLM request can carry is analyzed in overlapping chunks; the biases each chunk
+// reports are merged back into one ranked list for the whole text.
+
+// Severity weighted by how sure the model is that the bias is present
+const biasPriority = (bias) => bias.severity * bias.confidence;
+
+// Split long texts into overlapping chunks of at most chunkSize characters, breaking at paragraph or
+// sentence ends where possible
+const splitIntoChunks = (text, { chunkSize, overlap }) => {
+    const chunks = [];
+    let start = 0;
+    while (start < text.length) {
+        let end = Math.min(start + chunkSize, text.length);
+        if (end < text.length) {
+            const searchFrom = start + Math.floor(chunkSize / 2);
+            const window = text.slice(searchFrom, end);
+            const boundary = Math.max(window.lastIndexOf('\n'), window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? '));
+            if (boundary !== -1) {
+                end = searchFrom + boundary + 1;
+            }
+        }
+        chunks.push({ index: chunks.length, start, end, text: text.slice(start, end) });
+        if (end >= text.length) {
+            break;
+        }
+
+        // Start the next chunk inside the overlap, at a word boundary
+        let nextStart = Math.max(end - overlap, start + 1);
+        const wordBreak = text.slice(nextStart, end).search(/\s/);
+        if (wordBreak !== -1) {
+            nextStart += wordBreak + 1;
+        }
+        start = nextStart;
+    }
+    return chunks;
+};
+
+// Merge per-chunk biases by canonical id, rank by severity and confidence, then by how many
+// chunks report them, and trim to topBiases
+const mergeChunkResults = (chunkResults, { topBiases, maxEvidenceQuotes }) => {
+    const merged = new Map();
+    chunkResults.forEach(({ chunk, biases }) => {
+        biases.forEach(bias => {
+            const key = bias.bias_id;
+            if (!merged.has(key)) {
+                merged.set(key, {
+                    bias: {
+                        ...bias,
+                        evidence: bias.evidence ? [] : undefined,
+                        chunks: [],
+                        ...(chunk.paragraphId ? { locations: [] } : {})
+                    },
+                    firstChunk: chunk.index
+                });
+            }
+            const entry = merged.get(key);
+            // The strongest rating from any chunk stands for the whole text, with its own rationale
+            if (biasPriority(bias) > biasPriority(entry.bias)) {
+                Object.assign(entry.bias, { severity: bias.severity, confidence: bias.confidence, rationale: bias.rationale });
+            }
+            if (!entry.bias.chunks.includes(chunk.index)) {
+                entry.bias.chunks.push(chunk.index);
+            }
+            // Attribute the bias to the chapter and paragraph the chunk came from
+            if (chunk.paragraphId && !entry.bias.locations.some(location => location.paragraphId === chunk.paragraphId)) {
+                entry.bias.locations.push({ chapterId: chunk.chapterId, paragraphId: chunk.paragraphId });
+            }
+            // Any chunk may be the first to bring evidence, so the merged list starts with the first quote
+            (bias.evidence || []).forEach(evidence => {
+                entry.bias.evidence = entry.bias.evidence || [];
+                const isDuplicate = entry.bias.evidence.some(e =>
+                    e.start === evidence.start && e.end === evidence.end && e.paragraphId === evidence.paragraphId);
+                if (!isDuplicate && entry.bias.evidence.length < maxEvidenceQuotes) {
+                    entry.bias.evidence.push(evidence);
+                }
+            });
+        });
+    });
+
+    const ranked = [...merged.values()].sort((a, b) =>
+        (biasPriority(b.bias) - biasPriority(a.bias)) ||
+        (b.bias.severity - a.bias.severity) ||
+        (b.bias.chunks.length - a.bias.chunks.length) ||
+        (a.firstChunk - b.firstChunk));
+    return ranked.slice(0, topBiases).map(entry => entry.bias);
+};
+
+module.exports = {
+    biasPriority,
+    splitIntoChunks,
+    mergeChunkResults
+};
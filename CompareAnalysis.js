@@ -0,0 +1,427 @@
+module.exports = {
+    // Declared parameters, checked before the task starts and exposed so UIs can render a form from them
+    parameterSchema: {
+        beforeDocumentId: { type: 'string', description: 'Document, or its bias analysis, before the change' },
+        beforeText: { type: 'string', requiredWithout: 'beforeDocumentId', description: 'Text before the change, instead of beforeDocumentId' },
+        afterDocumentId: { type: 'string', description: 'Document, or its bias analysis, after the change' },
+        afterText: { type: 'string', requiredWithout: 'afterDocumentId', description: 'Text after the change, instead of afterDocumentId' },
+        beforeExplainedDocumentId: { type: 'string', description: 'bias_explained document to take the before scores from; the latest one for the analysis by default' },
+        afterExplainedDocumentId: { type: 'string', description: 'bias_explained document to take the after scores from; the latest one for the analysis by default' },
+        personality: { type: 'string', description: 'ID of the personality that analyzes a side without a bias analysis' },
+        topBiases: { type: 'integer', min: 1, max: 20, description: 'Number of biases to report when a side has to be analyzed' },
+        prompt: { type: 'string', description: 'Focus of the analysis of a side without a bias analysis' }
+    },
+
+    runTask: async function () {
+        try {
+            // Check every parameter against the declared schema before any module is loaded
+            const { validateParameters } = require('./ParameterSchema.js');
+            const params = validateParameters(module.exports.parameterSchema, this.parameters);
+
+            // Define colors for personalities
+            const colors = ['rgb(54, 162, 235)', 'rgb(255, 99, 132)', 'rgb(75, 192, 192)', 'rgb(221, 140, 60)', 'rgb(32, 182, 151)', 'rgb(153, 102, 255)'];
+            const BEFORE_COLOR = '#a0a0a0';
+
+            // Cooperative cancellation: cancelTask aborts the controller and cancels the running stage
+            const { createCancellationError, createCancellation } = require('./Cancellation.js');
+            this.abortController = new AbortController();
+            if (this.cancelled) {
+                this.abortController.abort();
+            }
+            const { throwIfCancelled } = createCancellation(this.abortController.signal);
+
+            const { biasIdOf } = require('./BiasIds.js');
+            const { verifyProvenance } = require('./Provenance.js');
+
+            this.logInfo("Initializing bias comparison task...");
+            const documentModule = await this.loadModule("document");
+            const spaceModule = await this.loadModule("space");
+
+            // Each side is an existing document or a raw text
+            const sides = {
+                before: { documentId: params.beforeDocumentId, text: params.beforeText },
+                after: { documentId: params.afterDocumentId, text: params.afterText }
+            };
+
+            // Run another task module in a child context that shares this task's space, modules and logging
+            const runStage = async (taskModule, parameters) => {
+                const stage = Object.create(this);
+                stage.parameters = parameters;
+                stage.cancelled = false;
+                this.activeStage = { taskModule, stage };
+                try {
+                    const stageResult = await taskModule.runTask.call(stage);
+                    if (stageResult.status === 'cancelled') {
+                        throw createCancellationError();
+                    }
+                    return stageResult;
+                } finally {
+                    this.activeStage = null;
+                }
+            };
+
+            const parseJson = (value) => {
+                try {
+                    return value ? JSON.parse(value) : null;
+                } catch (error) {
+                    return null;
+                }
+            };
+
+            // Resolve a side to a bias_analysis document, running GenerateAnalysis when needed
+            const resolveAnalysis = async (name, side) => {
+                if (side.documentId) {
+                    const document = await documentModule.getDocument(this.spaceId, side.documentId);
+                    if (!document) {
+                        throw new Error(`${name} document not found: ${side.documentId}`);
+                    }
+                    const content = parseJson(document.content);
+                    if (document.type === 'bias_analysis' || (content && Array.isArray(content.biases))) {
+                        this.logInfo(`Using existing bias analysis for ${name}: ${side.documentId}`);
+                        const verification = await verifyProvenance(documentModule, this.spaceId, side.documentId);
+                        if (verification.status === 'changed' || verification.status === 'missing') {
+                            this.logWarning(`The text behind the ${name} analysis ${side.documentId} has ${verification.status === 'missing' ? 'been deleted' : 'changed'} since it was analyzed`);
+                        }
+                        return { documentId: side.documentId, content };
+                    }
+                }
+
+                if (!params.personality || !params.topBiases) {
+                    throw new Error(`The ${name} input has no bias analysis yet; personality and topBiases are required to run one`);
+                }
+                this.logProgress(`Running bias analysis for ${name}...`);
+                const GenerateAnalysis = require('./GenerateAnalysis.js');
+                const stageResult = await runStage(GenerateAnalysis, {
+                    personality: params.personality,
+                    topBiases: params.topBiases,
+                    prompt: params.prompt,
+                    ...(side.documentId ? { documentId: side.documentId } : { text: side.text })
+                });
+                return { documentId: stageResult.documentId, content: stageResult.result };
+            };
+
+            // Find the most recent bias_explained document built on an analysis, unless one is given explicitly
+            const findExplanation = async (name, analysisDocumentId) => {
+                const explicitId = params[`${name}ExplainedDocumentId`];
+                if (explicitId) {
+                    const document = await documentModule.getDocument(this.spaceId, explicitId);
+                    if (!document) {
+                        throw new Error(`${name} explained document not found: ${explicitId}`);
+                    }
+                    return { documentId: explicitId, content: parseJson(document.content) };
+                }
+
+                // Newest first: explanation titles end in their creation time, so the first usable match is the latest.
+                // Listings that carry the source analysis id skip other analyses' explanations without loading them
+                const documents = await documentModule.getDocumentsMetadata(this.spaceId);
+                const candidates = (documents || [])
+                    .filter(metadata => metadata.type === 'bias_explained' || String(metadata.title || '').startsWith('bias_explained_'))
+                    .filter(metadata => !metadata.sourceDocumentId || metadata.sourceDocumentId === analysisDocumentId)
+                    .sort((a, b) => String(b.title || '').localeCompare(String(a.title || '')));
+                for (const metadata of candidates) {
+                    throwIfCancelled();
+                    const document = await documentModule.getDocument(this.spaceId, metadata.id);
+                    const abstract = parseJson(document && document.abstract);
+                    // Explanations still being written, or that failed, have no usable scores yet
+                    if (!abstract || abstract.sourceDocumentId !== analysisDocumentId ||
+                        ['in_progress', 'failed', 'cancelled'].includes(abstract.status)) {
+                        continue;
+                    }
+                    return { documentId: metadata.id, content: parseJson(document.content) };
+                }
+                return null;
+            };
+
+            const analyses = {};
+            for (const [name, side] of Object.entries(sides)) {
+                throwIfCancelled();
+                analyses[name] = await resolveAnalysis(name, side);
+                if (!analyses[name].content || !Array.isArray(analyses[name].content.biases)) {
+                    throw new Error(`The ${name} analysis document has no structured bias content`);
+                }
+            }
+
+            // Align biases by canonical id; analyses from before bias ids fall back to the slug of their bias type
+            this.logProgress("Aligning biases...");
+            const byId = (biases) => new Map(biases.map(bias => [biasIdOf(bias), { ...bias, bias_id: biasIdOf(bias) }]));
+            const beforeBiases = byId(analyses.before.content.biases);
+            const afterBiases = byId(analyses.after.content.biases);
+            const summarize = (bias) => ({
+                bias_id: bias.bias_id,
+                bias_label: bias.bias_label || bias.bias_type,
+                explanation: bias.explanation
+            });
+
+            const introduced = [...afterBiases.values()].filter(bias => !beforeBiases.has(bias.bias_id)).map(summarize);
+            const removed = [...beforeBiases.values()].filter(bias => !afterBiases.has(bias.bias_id)).map(summarize);
+            const persisted = [...afterBiases.values()].filter(bias => beforeBiases.has(bias.bias_id)).map(summarize);
+
+            // Score deltas per personality when both sides were explained
+            throwIfCancelled();
+            const explanations = {
+                before: await findExplanation('before', analyses.before.documentId),
+                after: await findExplanation('after', analyses.after.documentId)
+            };
+            const hasScores = ['before', 'after'].every(name =>
+                explanations[name] && explanations[name].content && Array.isArray(explanations[name].content.allPersonalityExplanations));
+
+            const scoreDeltas = [];
+            if (hasScores) {
+                const beforeByPersonality = new Map(explanations.before.content.allPersonalityExplanations.map(p => [p.personality, p]));
+                explanations.after.content.allPersonalityExplanations.forEach(afterPersonality => {
+                    const beforePersonality = beforeByPersonality.get(afterPersonality.personality);
+                    if (!beforePersonality) {
+                        return;
+                    }
+                    afterPersonality.scored_biases.forEach(afterScore => {
+                        const beforeScore = beforePersonality.scored_biases.find(bias => biasIdOf(bias) === biasIdOf(afterScore));
+                        if (!beforeScore) {
+                            return;
+                        }
+                        const beforeNet = beforeScore.for_score - beforeScore.against_score;
+                        const afterNet = afterScore.for_score - afterScore.against_score;
+                        scoreDeltas.push({
+                            personality: afterPersonality.personality,
+                            bias_id: biasIdOf(afterScore),
+                            bias_label: afterScore.bias_type,
+                            before: { for_score: beforeScore.for_score, against_score: beforeScore.against_score, net: beforeNet },
+                            after: { for_score: afterScore.for_score, against_score: afterScore.against_score, net: afterNet },
+                            delta_for: afterScore.for_score - beforeScore.for_score,
+                            delta_against: afterScore.against_score - beforeScore.against_score,
+                            delta_net: afterNet - beforeNet
+                        });
+                    });
+                });
+            } else {
+                this.logInfo("No ExplainedAnalysis results for both sides; skipping score deltas");
+            }
+
+            // =============================================
+            // BEFORE/AFTER DIAGRAM: net balance per bias and personality
+            // =============================================
+            let imageId = null;
+            if (scoreDeltas.length) {
+                throwIfCancelled();
+                this.logProgress("Creating before/after chart...");
+                const { createCanvas } = require('canvas');
+                const MAX_NET = 10;
+                const personalityNames = [...new Set(scoreDeltas.map(delta => delta.personality))];
+                const biasIds = [...new Set(scoreDeltas.map(delta => delta.bias_id))];
+                const biasLabels = Object.fromEntries(scoreDeltas.map(delta => [delta.bias_id, delta.bias_label]));
+
+                const width = 5000;
+                const padding = 150;
+                const titleHeight = 300;
+                const labelWidth = 1400;
+                const barThickness = 30;
+                const pairStep = 110;
+                const rowPadding = 40;
+                const rowHeight = personalityNames.length * pairStep + rowPadding * 2;
+                const plotBottom = titleHeight + biasIds.length * rowHeight;
+                const height = plotBottom + 300 + padding;
+                const plotLeft = padding + labelWidth + 100;
+                const plotRight = width - padding;
+                const centerX = (plotLeft + plotRight) / 2;
+                const scaleUnit = ((plotRight - plotLeft) / 2 - 160) / MAX_NET;
+
+                const canvas = createCanvas(width, height);
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = 'white';
+                ctx.fillRect(0, 0, width, height);
+
+                ctx.font = 'bold 81px Arial';
+                ctx.textAlign = 'center';
+                ctx.fillStyle = 'black';
+                ctx.fillText('Net Balance Before and After (For - Against)', width / 2, 160);
+
+                const drawNetBar = (net, y, color) => {
+                    const barWidth = Math.abs(net) * scaleUnit;
+                    ctx.fillStyle = color;
+                    ctx.fillRect(net >= 0 ? centerX : centerX - barWidth, y, barWidth, barThickness);
+                    ctx.fillStyle = 'black';
+                    ctx.font = 'bold 48px Arial';
+                    ctx.textAlign = net >= 0 ? 'left' : 'right';
+                    ctx.fillText(`${net > 0 ? '+' : ''}${net}`, net >= 0 ? centerX + barWidth + 10 : centerX - barWidth - 10, y + barThickness - 2);
+                };
+
+                biasIds.forEach((biasId, rowIndex) => {
+                    const y = titleHeight + rowIndex * rowHeight;
+                    ctx.fillStyle = rowIndex % 2 === 0 ? '#f0f0f0' : '#d8d8d8';
+                    ctx.fillRect(padding, y, width - padding * 2, rowHeight);
+
+                    ctx.font = 'bold 66px Arial';
+                    ctx.textAlign = 'left';
+                    ctx.fillStyle = 'black';
+                    let label = biasLabels[biasId];
+                    while (label.length > 1 && ctx.measureText(label).width > labelWidth) {
+                        label = label.slice(0, -2) + '…';
+                    }
+                    ctx.fillText(label, padding + 40, y + rowHeight / 2 + 22);
+
+                    personalityNames.forEach((personality, pIndex) => {
+                        const delta = scoreDeltas.find(d => d.bias_id === biasId && d.personality === personality);
+                        if (!delta) {
+                            return;
+                        }
+                        const pairY = y + rowPadding + pIndex * pairStep;
+                        drawNetBar(delta.before.net, pairY, BEFORE_COLOR);
+                        drawNetBar(delta.after.net, pairY + barThickness + 10, colors[pIndex % colors.length]);
+                    });
+                });
+
+                ctx.beginPath();
+                ctx.strokeStyle = '#000000';
+                ctx.lineWidth = 8;
+                ctx.moveTo(centerX, titleHeight - 50);
+                ctx.lineTo(centerX, plotBottom + 50);
+                ctx.stroke();
+
+                // Legend: gray bars are before, colored bars are after for each personality
+                let legendX = padding;
+                const legendY = plotBottom + 200;
+                ctx.font = 'bold 60px Arial';
+                [{ name: 'Before', color: BEFORE_COLOR }, ...personalityNames.map((name, index) => ({ name: `${name} (after)`, color: colors[index % colors.length] }))]
+                    .forEach(entry => {
+                        ctx.fillStyle = entry.color;
+                        ctx.fillRect(legendX, legendY - 45, 60, 50);
+                        ctx.fillStyle = 'black';
+                        ctx.textAlign = 'left';
+                        ctx.fillText(entry.name, legendX + 80, legendY);
+                        legendX += 80 + ctx.measureText(entry.name).width + 100;
+                    });
+
+                imageId = await spaceModule.putImage(canvas.toBuffer('image/png'));
+            }
+
+            // Save the comparison as a document
+            throwIfCancelled();
+            this.logProgress("Saving comparison results...");
+            const comparison = {
+                before: {
+                    analysisDocumentId: analyses.before.documentId,
+                    explainedDocumentId: explanations.before ? explanations.before.documentId : null
+                },
+                after: {
+                    analysisDocumentId: analyses.after.documentId,
+                    explainedDocumentId: explanations.after ? explanations.after.documentId : null
+                },
+                introduced,
+                removed,
+                persisted,
+                scoreDeltas
+            };
+
+            const documentObj = {
+                title: `bias_comparison_${new Date().toISOString()}`,
+                type: 'bias_comparison',
+                content: JSON.stringify(comparison, null, 2),
+                abstract: JSON.stringify({
+                    type: "bias_comparison",
+                    beforeDocumentId: analyses.before.documentId,
+                    afterDocumentId: analyses.after.documentId,
+                    introduced: introduced.length,
+                    removed: removed.length,
+                    persisted: persisted.length,
+                    timestamp: new Date().toISOString()
+                }, null, 2),
+                metadata: {
+                    id: null,
+                    title: `bias_comparison_${new Date().toISOString()}`
+                }
+            };
+
+            const documentId = await documentModule.addDocument(this.spaceId, documentObj);
+
+            const summaryChapterId = await documentModule.addChapter(this.spaceId, documentId, {
+                title: "Summary",
+                idea: "Overview of how the detected biases changed between the two versions"
+            });
+            await documentModule.addParagraph(this.spaceId, documentId, summaryChapterId, {
+                text: `${introduced.length} bias(es) introduced, ${removed.length} removed and ${persisted.length} persisted between the before and after versions.`,
+                commands: {}
+            });
+
+            const biasGroups = [
+                { title: "Introduced Biases", idea: "Biases found only in the after version", biases: introduced },
+                { title: "Removed Biases", idea: "Biases found only in the before version", biases: removed },
+                { title: "Persisted Biases", idea: "Biases found in both versions", biases: persisted }
+            ];
+            for (const group of biasGroups) {
+                if (!group.biases.length) {
+                    continue;
+                }
+                const chapterId = await documentModule.addChapter(this.spaceId, documentId, { title: group.title, idea: group.idea });
+                for (const bias of group.biases) {
+                    await documentModule.addParagraph(this.spaceId, documentId, chapterId, {
+                        text: `${bias.bias_label}: ${bias.explanation}`,
+                        commands: {}
+                    });
+                }
+            }
+
+            if (scoreDeltas.length) {
+                const scoreChapterId = await documentModule.addChapter(this.spaceId, documentId, {
+                    title: "Score Changes",
+                    idea: "Per-personality score deltas for biases present in both versions"
+                });
+                await documentModule.addParagraph(this.spaceId, documentId, scoreChapterId, {
+                    text: "Net balance before and after:",
+                    commands: {
+                        image: {
+                            id: imageId
+                        }
+                    }
+                });
+                const signed = (value) => value > 0 ? `+${value}` : `${value}`;
+                for (const delta of scoreDeltas) {
+                    await documentModule.addParagraph(this.spaceId, documentId, scoreChapterId, {
+                        text: `${delta.bias_label} - ${delta.personality}: for ${delta.before.for_score} → ${delta.after.for_score} (${signed(delta.delta_for)}), against ${delta.before.against_score} → ${delta.after.against_score} (${signed(delta.delta_against)}), net ${signed(delta.delta_net)}`,
+                        commands: {}
+                    });
+                }
+            }
+
+            this.logSuccess(`Comparison saved as document with ID: ${documentId}`);
+            return {
+                status: 'completed',
+                result: comparison,
+                documentId: documentId
+            };
+
+        } catch (error) {
+            if (error.cancelled) {
+                this.logWarning("Bias comparison cancelled before a document was written");
+                return {
+                    status: 'cancelled'
+                };
+            }
+            this.logError(`Error in bias comparison: ${error.message}`);
+            throw error;
+        }
+    },
+
+    cancelTask: async function () {
+        this.cancelled = true;
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+        if (this.activeStage) {
+            await this.activeStage.taskModule.cancelTask.call(this.activeStage.stage);
+        }
+        this.logWarning("Task cancelled by user");
+    },
+
+    serialize: async function () {
+        return {
+            taskType: 'BiasComparison',
+            parameters: this.parameters
+        };
+    },
+
+    getRelevantInfo: async function () {
+        return {
+            taskType: 'BiasComparison',
+            parameters: this.parameters
+        };
+    }
+};
@@ -0,0 +1,388 @@
+module.exports = {
+    // Declared parameters, checked before the task starts and exposed so UIs can render a form from them
+    parameterSchema: {
+        sourceDocumentId: { type: 'string', required: true, description: 'ID of the bias_analysis document produced by GenerateAnalysis' },
+        personality: { type: 'string', description: 'ID of the personality that rewrites the text; defaults to the one that made the analysis' },
+        biases: { type: 'list', minItems: 1, description: 'Bias ids to remove, as an array, a JSON array string or a comma-separated string; all biases of the analysis by default' },
+        text: { type: 'string', description: 'Text to rewrite; read back from the analyzed document when omitted' },
+        redetect: { type: 'boolean', default: false, description: 'Analyze the rewritten text again to check which biases remain' },
+        topBiases: { type: 'integer', min: 1, max: 20, description: 'Number of biases to report when re-detecting; defaults to that of the source analysis' },
+        prompt: { type: 'string', description: 'Focus of the re-detection analysis' }
+    },
+
+    runTask: async function () {
+        try {
+            // Configuration constants
+            const REWRITE_CHUNK_SIZE = 4000;
+
+            // Cooperative cancellation: cancelTask aborts the controller and every pending wait rejects
+            const { createCancellationError, createCancellation } = require('./Cancellation.js');
+            this.abortController = new AbortController();
+            if (this.cancelled) {
+                this.abortController.abort();
+            }
+            const { throwIfCancelled, withCancellation, sleep } = createCancellation(this.abortController.signal);
+
+            // Check every parameter against the declared schema before any module is loaded
+            const { validateParameters } = require('./ParameterSchema.js');
+            const params = validateParameters(module.exports.parameterSchema, this.parameters);
+            const redetect = params.redetect;
+
+            const { biasIdOf } = require('./BiasIds.js');
+
+            this.logInfo("Initializing debiasing rewrite task...");
+            const llmModule = await this.loadModule("llm");
+            const documentModule = await this.loadModule("document");
+
+            // Load the bias analysis produced by GenerateAnalysis
+            this.logProgress("Loading bias analysis...");
+            const analysisDoc = await documentModule.getDocument(this.spaceId, params.sourceDocumentId);
+            if (!analysisDoc) {
+                throw new Error('Source document not found');
+            }
+            let analysis;
+            let analysisAbstract;
+            try {
+                analysis = JSON.parse(analysisDoc.content);
+                analysisAbstract = analysisDoc.abstract ? JSON.parse(analysisDoc.abstract) : {};
+            } catch (error) {
+                throw new Error('Source document is not a bias analysis: content is not valid JSON');
+            }
+            if (!analysis || !Array.isArray(analysis.biases) || !analysis.biases.length) {
+                throw new Error('Source document is not a bias analysis: no biases found');
+            }
+            // Analyses from before bias ids are addressed by the slug of their bias type
+            analysis.biases = analysis.biases.map(bias => ({ ...bias, bias_id: biasIdOf(bias) }));
+
+            // The rewrite, and the re-detection, run as the given personality or else as the one that made the analysis
+            const provenancePersonalities = analysisAbstract.provenance && analysisAbstract.provenance.personalityIds;
+            const personalityId = params.personality || (provenancePersonalities && provenancePersonalities[0]);
+            if (!personalityId) {
+                throw new Error('No personality provided and the source analysis does not record the personality that made it');
+            }
+
+            // Restrict the rewrite to the selected bias ids, all of them by default
+            const selectedIds = params.biases || analysis.biases.map(bias => bias.bias_id);
+            const selectedBiases = selectedIds.map(id => {
+                const bias = analysis.biases.find(b => b.bias_id === id);
+                if (!bias) {
+                    throw new Error(`Bias "${id}" is not part of the source analysis`);
+                }
+                return bias;
+            });
+
+            // The original text is passed in, or read back from the document the analysis was run on
+            let originalText = params.text;
+            if (!originalText && analysisAbstract.sourceDocumentId) {
+                const sourceDoc = await documentModule.getDocument(this.spaceId, analysisAbstract.sourceDocumentId);
+                if (sourceDoc) {
+                    originalText = (sourceDoc.chapters || [])
+                        .flatMap(chapter => (chapter.paragraphs || []).map(paragraph => paragraph.text || ''))
+                        .filter(text => text.trim())
+                        .join('\n\n');
+                }
+            }
+            if (!originalText) {
+                throw new Error('No text provided and the analyzed document could not be loaded');
+            }
+
+            // Split at paragraph breaks so each rewrite request stays small enough to be returned whole
+            const splitIntoSegments = (text) => {
+                const segments = [];
+                let current = '';
+                text.split(/\n\s*\n/).forEach(paragraph => {
+                    if (current && current.length + paragraph.length > REWRITE_CHUNK_SIZE) {
+                        segments.push(current);
+                        current = '';
+                    }
+                    current = current ? `${current}\n\n${paragraph}` : paragraph;
+                });
+                if (current) {
+                    segments.push(current);
+                }
+                return segments;
+            };
+
+            const buildRewritePrompt = (segmentText) => `You are an editor who removes bias from writing while keeping its meaning, facts and tone.
+
+Rewrite the text below so that it mitigates the following biases:
+${selectedBiases.map(bias => `- ${bias.bias_id} (${bias.bias_label || bias.bias_type}): ${bias.explanation}${(bias.evidence || []).length ? `
+  Passages flagged for this bias: ${bias.evidence.map(evidence => `"${evidence.quote}"`).join('; ')}` : ''}`).join('\n')}
+
+Text to rewrite:
+${segmentText}
+
+Rules:
+1. Change only the sentences that show one of the listed biases; copy every other sentence unchanged
+2. Keep the paragraph structure of the original text
+3. Report every changed sentence in "changes", with the original sentence copied verbatim
+
+CRITICAL JSON FORMATTING REQUIREMENTS:
+1. Your response MUST be PURE JSON - no markdown, no backticks, no extra text
+2. Use double quotes for all strings and escape line breaks inside strings as \\n
+3. Follow this exact structure:
+
+{
+    "rewritten_text": "the full rewritten text",
+    "changes": [
+        {
+            "bias_id": "bias_id from the list above, copied exactly",
+            "original": "the original sentence, copied verbatim",
+            "revised": "the rewritten sentence",
+            "reason": "one sentence on how the change mitigates the bias"
+        }
+    ]
+}`;
+
+            const getLLMResponseWithTimeout = async (prompt, timeout = 90000) => {
+                throwIfCancelled();
+                return withCancellation(
+                    llmModule.generateText(this.spaceId, prompt, personalityId),
+                    timeout,
+                    'LLM request timed out'
+                );
+            };
+
+            // Rewrite one segment with retries
+            const rewriteSegment = async (segmentText, segmentLabel) => {
+                let rewritePrompt = buildRewritePrompt(segmentText);
+                let retries = 3;
+
+                while (retries > 0) {
+                    try {
+                        this.logProgress(`Rewriting ${segmentLabel} (attempt ${4 - retries}/3)...`);
+                        const response = await getLLMResponseWithTimeout(rewritePrompt);
+                        let message = response.message.trim();
+                        if (message.startsWith("```")) {
+                            message = message.replace(/^```(json)?/, '').replace(/```$/, '');
+                        }
+
+                        let result;
+                        try {
+                            result = JSON.parse(message);
+                        } catch (parseError) {
+                            throw new Error(`Invalid JSON format: ${parseError.message}`);
+                        }
+                        if (typeof result.rewritten_text !== 'string' || !result.rewritten_text.trim()) {
+                            throw new Error('Invalid response format: rewritten_text is empty or missing');
+                        }
+                        if (!Array.isArray(result.changes)) {
+                            throw new Error('Invalid response format: changes must be an array');
+                        }
+
+                        // Keep only changes tied to a selected bias whose original sentence really occurs in the text
+                        const changes = result.changes.filter(change => {
+                            if (!change || !selectedIds.includes(change.bias_id)) {
+                                this.logWarning(`Ignoring change for an unselected bias: ${change && change.bias_id}`);
+                                return false;
+                            }
+                            if (typeof change.original !== 'string' || !segmentText.includes(change.original.trim())) {
+                                this.logWarning(`Ignoring change whose original sentence is not in the text: ${change.original}`);
+                                return false;
+                            }
+                            return true;
+                        }).map(change => ({
+                            bias_id: change.bias_id,
+                            original: change.original.trim(),
+                            revised: String(change.revised || '').trim(),
+                            reason: String(change.reason || '').trim()
+                        }));
+
+                        return { text: result.rewritten_text.trim(), changes };
+                    } catch (error) {
+                        if (error.cancelled) {
+                            throw error;
+                        }
+                        retries--;
+                        this.logWarning(`Rewrite failed: ${error.message}`);
+                        if (retries === 0) {
+                            this.logError(`Failed to rewrite ${segmentLabel} after all retries: ${error.message}`);
+                            throw error;
+                        }
+                        rewritePrompt += `\n\nPrevious attempt failed with error: ${error.message}
+                        Please ensure your response is valid JSON with "rewritten_text" and "changes" and nothing outside it.`;
+                        await sleep(2000);
+                    }
+                }
+            };
+
+            const segments = splitIntoSegments(originalText);
+            const rewrittenSegments = [];
+            const changes = [];
+            for (let i = 0; i < segments.length; i++) {
+                const segmentLabel = segments.length > 1 ? `part ${i + 1} of ${segments.length}` : 'text';
+                const rewritten = await rewriteSegment(segments[i], segmentLabel);
+                rewrittenSegments.push(rewritten.text);
+                changes.push(...rewritten.changes);
+            }
+            const rewrittenText = rewrittenSegments.join('\n\n');
+            this.logSuccess(`Rewrite completed with ${changes.length} changed sentence(s)`);
+
+            // Optionally run the detection again on the rewrite to show what is left
+            let residual = null;
+            if (redetect) {
+                throwIfCancelled();
+                this.logProgress("Re-running bias detection on the rewritten text...");
+                const GenerateAnalysis = require('./GenerateAnalysis.js');
+                const stage = Object.create(this);
+                stage.parameters = {
+                    personality: personalityId,
+                    topBiases: params.topBiases || analysisAbstract.topBiases || analysis.biases.length,
+                    prompt: params.prompt,
+                    text: rewrittenText
+                };
+                stage.cancelled = false;
+                this.activeStage = { taskModule: GenerateAnalysis, stage };
+                let stageResult;
+                try {
+                    stageResult = await GenerateAnalysis.runTask.call(stage);
+                } finally {
+                    this.activeStage = null;
+                }
+                if (stageResult.status === 'cancelled') {
+                    throw createCancellationError();
+                }
+
+                const detectedIds = stageResult.result.biases.map(bias => bias.bias_id);
+                residual = {
+                    documentId: stageResult.documentId,
+                    remaining: selectedBiases.filter(bias => detectedIds.includes(bias.bias_id)).map(bias => bias.bias_id),
+                    mitigated: selectedBiases.filter(bias => !detectedIds.includes(bias.bias_id)).map(bias => bias.bias_id),
+                    biases: stageResult.result.biases.map(bias => ({
+                        bias_id: bias.bias_id,
+                        bias_label: bias.bias_label,
+                        explanation: bias.explanation,
+                        introduced: !analysis.biases.some(original => original.bias_id === bias.bias_id)
+                    }))
+                };
+            }
+
+            // Save the rewrite as a document
+            throwIfCancelled();
+            this.logProgress("Saving rewrite...");
+            const rewrite = {
+                sourceDocumentId: params.sourceDocumentId,
+                biases: selectedIds,
+                originalText,
+                rewrittenText,
+                changes,
+                residual
+            };
+
+            const documentObj = {
+                title: `bias_rewrite_${new Date().toISOString()}`,
+                type: 'bias_rewrite',
+                content: JSON.stringify(rewrite, null, 2),
+                abstract: JSON.stringify({
+                    type: "bias_rewrite",
+                    sourceDocumentId: params.sourceDocumentId,
+                    biases: selectedIds,
+                    changeCount: changes.length,
+                    residualDocumentId: residual ? residual.documentId : null,
+                    timestamp: new Date().toISOString()
+                }, null, 2),
+                metadata: {
+                    id: null,
+                    title: `bias_rewrite_${new Date().toISOString()}`
+                }
+            };
+
+            const documentId = await documentModule.addDocument(this.spaceId, documentObj);
+
+            const textChapterId = await documentModule.addChapter(this.spaceId, documentId, {
+                title: "Rewritten Text",
+                idea: `Text rewritten to mitigate ${selectedBiases.map(bias => bias.bias_label || bias.bias_type).join(', ')}`
+            });
+            for (const paragraph of rewrittenText.split(/\n\s*\n/)) {
+                await documentModule.addParagraph(this.spaceId, documentId, textChapterId, {
+                    text: paragraph,
+                    commands: {}
+                });
+            }
+
+            // One chapter per bias with the sentences changed for it
+            for (const bias of selectedBiases) {
+                const biasChanges = changes.filter(change => change.bias_id === bias.bias_id);
+                const chapterId = await documentModule.addChapter(this.spaceId, documentId, {
+                    title: bias.bias_label || bias.bias_type,
+                    idea: `${biasChanges.length} sentence(s) changed to mitigate this bias`
+                });
+                if (!biasChanges.length) {
+                    await documentModule.addParagraph(this.spaceId, documentId, chapterId, {
+                        text: "No sentences were changed for this bias.",
+                        commands: {}
+                    });
+                }
+                for (const change of biasChanges) {
+                    await documentModule.addParagraph(this.spaceId, documentId, chapterId, {
+                        text: `Original: "${change.original}"\nRevised: "${change.revised}"\nWhy: ${change.reason}`,
+                        commands: {}
+                    });
+                }
+            }
+
+            if (residual) {
+                const residualChapterId = await documentModule.addChapter(this.spaceId, documentId, {
+                    title: "Residual Biases",
+                    idea: "Biases detected again when the analysis was re-run on the rewritten text"
+                });
+                const labelOf = (id) => {
+                    const bias = selectedBiases.find(b => b.bias_id === id);
+                    return bias.bias_label || bias.bias_type;
+                };
+                await documentModule.addParagraph(this.spaceId, documentId, residualChapterId, {
+                    text: `Mitigated: ${residual.mitigated.map(labelOf).join(', ') || 'none'}. Still detected: ${residual.remaining.map(labelOf).join(', ') || 'none'}.`,
+                    commands: {}
+                });
+                for (const bias of residual.biases) {
+                    await documentModule.addParagraph(this.spaceId, documentId, residualChapterId, {
+                        text: `${bias.bias_label}${bias.introduced ? ' (not in the original analysis)' : ''}: ${bias.explanation}`,
+                        commands: {}
+                    });
+                }
+            }
+
+            this.logSuccess(`Rewrite saved as document with ID: ${documentId}`);
+            return {
+                status: 'completed',
+                result: rewrite,
+                documentId: documentId
+            };
+
+        } catch (error) {
+            if (error.cancelled) {
+                this.logWarning("Debiasing rewrite cancelled before a document was written");
+                return {
+                    status: 'cancelled'
+                };
+            }
+            this.logError(`Error in debiasing rewrite: ${error.message}`);
+            throw error;
+        }
+    },
+
+    cancelTask: async function () {
+        this.cancelled = true;
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+        if (this.activeStage) {
+            await this.activeStage.taskModule.cancelTask.call(this.activeStage.stage);
+        }
+        this.logWarning("Task cancelled by user");
+    },
+
+    serialize: async function () {
+        return {
+            taskType: 'BiasRewrite',
+            parameters: this.parameters
+        };
+    },
+
+    getRelevantInfo: async function () {
+        return {
+            taskType: 'BiasRewrite',
+            parameters: this.parameters
+        };
+    }
+};
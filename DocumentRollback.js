@@ -0,0 +1,54 @@
+// Rollback for document assembly shared by the bias tasks.
+// The document API has no transactions: documents, chapters and paragraphs are added one call at a time.
+// A rollback records what a unit of work creates and deletes it again when a later step of that unit fails,
+// so a failure never leaves a half-built document, a chapter missing its paragraphs or an unreferenced image.
+// Paragraphs are not tracked on their own: they are only ever added to chapters created in the same unit.
+
+const createRollback = (documentModule, spaceModule, spaceId) => {
+    let created = [];
+    const track = (entry) => {
+        created.push(entry);
+        return entry.id;
+    };
+
+    return {
+        addDocument: async (document) =>
+            track({ kind: 'document', id: await documentModule.addDocument(spaceId, document) }),
+        addChapter: async (documentId, chapter) =>
+            track({ kind: 'chapter', documentId, id: await documentModule.addChapter(spaceId, documentId, chapter) }),
+        putImage: async (buffer) =>
+            track({ kind: 'image', id: await spaceModule.putImage(buffer) }),
+
+        // The unit succeeded: keep everything it created
+        commit: () => {
+            created = [];
+        },
+
+        // Delete what the unit created, newest first. Chapters of a deleted document go with it.
+        // Every deletion is attempted; the ones that fail are returned so the caller can report them.
+        rollback: async () => {
+            const entries = created.reverse();
+            created = [];
+            const deletedDocuments = new Set(entries.filter(entry => entry.kind === 'document').map(entry => entry.id));
+            const errors = [];
+            for (const entry of entries) {
+                try {
+                    if (entry.kind === 'document') {
+                        await documentModule.deleteDocument(spaceId, entry.id);
+                    } else if (entry.kind === 'chapter' && !deletedDocuments.has(entry.documentId)) {
+                        await documentModule.deleteChapter(spaceId, entry.documentId, entry.id);
+                    } else if (entry.kind === 'image') {
+                        await spaceModule.deleteImage(entry.id);
+                    }
+                } catch (error) {
+                    errors.push({ ...entry, message: error.message });
+                }
+            }
+            return { removed: entries.length - errors.length, errors };
+        }
+    };
+};
+
+module.exports = {
+    createRollback
+};
@@ -0,0 +1,19 @@
+// Document updates shared by the bias tasks.
+// The document API's updateDocument stores the document object it is given in place of the current one;
+// it does not merge. Changing some fields therefore reads the document first and writes it back whole,
+// with only those fields replaced.
+
+// Replace fields of a document. Returns the updated document, or null when the document no longer exists.
+const updateDocumentFields = async (documentModule, spaceId, documentId, fields) => {
+    const document = await documentModule.getDocument(spaceId, documentId);
+    if (!document) {
+        return null;
+    }
+    const updated = { ...document, ...fields };
+    await documentModule.updateDocument(spaceId, documentId, updated);
+    return updated;
+};
+
+module.exports = {
+    updateDocumentFields
+};
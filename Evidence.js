@@ -0,0 +1,55 @@
+// Quote location for evidence mode, shared by the bias tasks.
+// The LLM backs each bias with quotes from the analyzed text; a quote only counts as evidence when it can be
+// found in that text, and its span is then taken from the text itself rather than from the LLM's copy.
+
+// Normalizes whitespace, typographic quotes and case while remembering
+// the original index of every kept character
+const normalizeWithMap = (str) => {
+    let normalized = '';
+    const map = [];
+    let lastWasSpace = false;
+    for (let i = 0; i < str.length; i++) {
+        let ch = str[i];
+        if (/\s/.test(ch)) {
+            if (lastWasSpace) {
+                continue;
+            }
+            ch = ' ';
+            lastWasSpace = true;
+        } else {
+            lastWasSpace = false;
+            ch = ch.replace(/[\u2018\u2019]/g, "'").replace(/[\u201C\u201D]/g, '"');
+            const lower = ch.toLowerCase();
+            ch = lower.length === 1 ? lower : ch;
+        }
+        normalized += ch;
+        map.push(i);
+    }
+    return { normalized, map };
+};
+
+// Finds a quote in the source text, exactly or modulo whitespace/case/quote style.
+// normalizedSource is normalizeWithMap(sourceText), computed once per text; returns {start, end} or null.
+const locateQuote = (sourceText, normalizedSource, quote) => {
+    if (typeof quote !== 'string' || !quote.trim()) {
+        return null;
+    }
+    const exactStart = sourceText.indexOf(quote);
+    if (exactStart !== -1) {
+        return { start: exactStart, end: exactStart + quote.length };
+    }
+    const normalizedQuote = normalizeWithMap(quote.trim()).normalized;
+    const index = normalizedSource.normalized.indexOf(normalizedQuote);
+    if (index === -1) {
+        return null;
+    }
+    return {
+        start: normalizedSource.map[index],
+        end: normalizedSource.map[index + normalizedQuote.length - 1] + 1
+    };
+};
+
+module.exports = {
+    normalizeWithMap,
+    locateQuote
+};
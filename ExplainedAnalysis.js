@@ -1,14 +1,150 @@
 module.exports = {
+    // Declared parameters, checked before the task starts and exposed so UIs can render a form from them
+    parameterSchema: {
+        sourceDocumentId: { type: 'string', required: true, description: 'ID of the bias_analysis document produced by GenerateAnalysis' },
+        personalities: { type: 'list', required: true, minItems: 1, description: 'Personality IDs, as an array, a JSON array string or a comma-separated string' },
+        charts: { type: 'list', enum: ['balance', 'radar', 'heatmap', 'net_balance'], minItems: 1, default: ['balance'], description: 'Charts to render' },
+        imageFormat: { type: 'string', enum: ['png', 'svg'], default: 'png', description: 'Image format of the charts' },
+        promptTemplateSet: { type: 'string', default: 'default', description: 'Prompt template set to use; sets stored in the space as bias_prompt_templates documents override the built-in one' },
+        promptTemplateVersion: { type: 'string', description: 'Version of the prompt template set; the highest available version when omitted' },
+        outputLanguage: { type: 'string', description: 'Language of explanations, chapter titles and chart text; defaults to the output language of the source analysis, or English' },
+        samples: { type: 'integer', min: 1, max: 10, default: 1, description: 'Times each personality scores the biases; with more than one, scores are aggregated and given a confidence interval' },
+        aggregation: { type: 'string', enum: ['mean', 'median'], default: 'mean', description: 'How the scores of several samples are combined' },
+        concurrency: { type: 'integer', min: 1, max: 10, default: 3, description: 'Personalities scored at the same time' },
+        timeout: { type: 'integer', min: 1000, max: 600000, default: 90000, description: 'Timeout of one LLM request, in milliseconds' },
+        maxAttempts: { type: 'integer', min: 1, max: 10, default: 3, description: 'Attempts per personality when the LLM returns malformed output' },
+        timeoutRetries: { type: 'integer', min: 0, max: 10, default: 2, description: 'Extra attempts after a timeout, each with a doubled timeout; they do not use up maxAttempts' },
+        retryDelay: { type: 'integer', min: 0, max: 60000, default: 2000, description: 'Base delay before a retry, in milliseconds; doubled on each further retry, with jitter' }
+    },
+
     runTask: async function () {
+        // Live state reported by getRelevantInfo while the task runs
+        this.progress = {
+            stage: 'initializing',
+            startedAt: Date.now(),
+            finishedAt: null,
+            personalitiesCompleted: 0,
+            personalitiesTotal: null,
+            personalitiesFailed: 0,
+            currentAttempts: {},
+            lastError: null,
+            documentId: null,
+            scoringStartedAt: null,
+            scoredThisRun: 0
+        };
+        const progress = this.progress;
+        // Set once the document exists, to record how the run ended when it fails or is cancelled
+        let markDocument = null;
+        // Set once charts are uploaded, to remove the summary written so far when the run does not finish
+        let rollbackSummary = null;
+
         try {
             // Configuration constants
+            // Task version stored in the provenance of the saved document; bump it when a change alters the scores or the report
+            const TASK_VERSION = '1.4.0';
             const MIN_SCORE = 0;
             const MAX_SCORE = 10;
             const MIN_WORDS = 50;
             const MAX_WORDS = 100;
 
-            // Define colors for personalities
+            // Chart and document text, in English; {name} marks a value filled in at render time
+            const REPORT_STRINGS = {
+                balanceTitle: 'Bias Balance Comparison',
+                legend: 'Legend:',
+                balanceLegend: 'Values shown as: Balance (Against score, For score)',
+                errorBarsLegend: 'Error bars: {level}% confidence interval of the {statistic} over {samples} samples',
+                statisticMean: 'mean',
+                statisticMedian: 'median',
+                radarTitle: 'Net Balance Radar (For - Against)',
+                heatmapTitle: 'Net Balance Heatmap (For - Against)',
+                heatmapAgainst: 'Against {value}',
+                heatmapFor: 'For {value}',
+                netBalanceTitle: 'Mean Net Balance by Bias',
+                netBalanceNote: 'Mean of (For - Against) across {count} personalities; positive values lean for, negative values lean against',
+                balanceCaption: 'Comparison of total bias strength:',
+                radarCaption: 'Net balance (for - against) of each personality across biases:',
+                heatmapCaption: 'Net balance (for - against) by personality and bias:',
+                netBalanceCaption: 'Mean net balance per bias across personalities, sorted:',
+                distributionTitle: 'Bias Score Distribution',
+                distributionIdea: 'Visual representation of bias scores across personalities',
+                tableIntro: 'Scores shown in the charts:',
+                columnPersonality: 'Personality',
+                columnBias: 'Bias',
+                columnFor: 'For',
+                columnAgainst: 'Against',
+                columnNet: 'Net balance',
+                consensusTitle: 'Consensus and Disagreement',
+                consensusIdea: 'Agreement statistics of bias scores across personalities',
+                alphaSummary: "Krippendorff's alpha on net balance (for - against) across {personalities} personalities and {biases} biases: {alpha} ({interpretation})",
+                notAvailable: 'n/a',
+                alphaUnavailable: 'not available (requires at least two personalities)',
+                alphaHigh: 'high agreement',
+                alphaModerate: 'moderate agreement',
+                alphaLow: 'low agreement',
+                alphaDisagreement: 'systematic disagreement',
+                mostContested: 'Most contested biases: {biases}',
+                biasAgreementLine: '{bias}: mean for {meanFor}, mean against {meanAgainst}, net balance {net} (range {min} to {max}), spread {spread}',
+                contested: 'contested',
+                personalityChapterTitle: '{bias} - {personality} (Against: {against}, For: {for})',
+                personalityChapterIdea: 'Analysis of {bias} by {personality}',
+                sampleSummary: 'Over {samples} samples, {statistic} score: for {for} ({level}% CI {forLow} to {forHigh}, standard deviation {forSd}), against {against} ({level}% CI {againstLow} to {againstHigh}, standard deviation {againstSd}). The explanation shown is the sample closest to these scores.'
+            };
+
+            // Define colors for personalities; beyond the base colors, hues are spread by the golden angle
             const colors = ['rgb(54, 162, 235)', 'rgb(255, 99, 132)', 'rgb(75, 192, 192)'];
+            const personalityColor = (index) => {
+                if (index < colors.length) {
+                    return colors[index];
+                }
+                // HSL to RGB, since rgb() is understood by both canvas and SVG renderers
+                const hue = (30 + (index - colors.length) * 137.508) % 360;
+                const saturation = 0.7;
+                const lightness = index % 2 === 0 ? 0.42 : 0.55;
+                const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+                const channel = (n) => {
+                    const k = (n + hue / 30) % 12;
+                    return Math.round(255 * (lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+                };
+                return `rgb(${channel(0)}, ${channel(8)}, ${channel(4)})`;
+            };
+
+            // Check every parameter against the declared schema before any module is loaded
+            const { validateParameters } = require('./ParameterSchema.js');
+            const params = validateParameters(module.exports.parameterSchema, this.parameters);
+            progress.personalitiesTotal = params.personalities.length;
+
+            // Cooperative cancellation: cancelTask aborts the controller and every pending wait rejects
+            const { createCancellation } = require('./Cancellation.js');
+            this.abortController = new AbortController();
+            const abortSignal = this.abortController.signal;
+            if (this.cancelled) {
+                this.abortController.abort();
+            }
+            const { throwIfCancelled, withCancellation, sleep } = createCancellation(abortSignal);
+
+            // Exponential back-off with jitter: between half and all of retryDelay * 2^(retry - 1), capped at a minute
+            const backoffDelay = (retry) => {
+                const delay = Math.min(params.retryDelay * 2 ** (retry - 1), 60000);
+                return delay / 2 + Math.random() * delay / 2;
+            };
+
+            const { isEnglish, translateStrings, createLocalize } = require('./Localization.js');
+
+            // Report strings in English with {placeholders}; other output languages get one LLM translation per run
+            const localizeStrings = (language, personality) => translateStrings(REPORT_STRINGS, language, {
+                templateSet,
+                personality,
+                request: (prompt) => withCancellation(
+                    llmModule.generateText(this.spaceId, prompt, personality.id),
+                    params.timeout,
+                    'LLM request timed out'
+                ),
+                onStage: (stage) => {
+                    checkpoint.provenanceStages.translation = stage;
+                },
+                logProgress: (message) => this.logProgress(message),
+                logWarning: (message) => this.logWarning(message)
+            });
 
             this.logInfo("Initializing bias explanation task...");
             const llmModule = await this.loadModule("llm");
@@ -16,40 +152,60 @@ module.exports = {
             const documentModule = await this.loadModule("document");
             const spaceModule = await this.loadModule("space");
 
-            // Validate and parse personality IDs
-            this.logProgress("Validating personality parameters...");
-            if (!this.parameters.personalities) {
-                throw new Error('No personalities provided');
-            }
-
-            this.logInfo("Raw parameters:", {
-                type: typeof this.parameters.personalities,
-                value: this.parameters.personalities
-            });
-
-            let personalityIds;
-            if (typeof this.parameters.personalities === 'string') {
-                // Try to split by comma first
-                if (this.parameters.personalities.includes(',')) {
-                    personalityIds = this.parameters.personalities.split(',').map(id => id.trim());
-                    this.logInfo("Split by comma into:", personalityIds);
-                } else {
-                    // If no comma, check if it's a concatenated string that needs to be split
-                    this.logInfo("Raw personality string:", this.parameters.personalities);
-                    // Split the string into chunks of 16 characters (assuming each ID is 16 chars)
-                    personalityIds = this.parameters.personalities.match(/.{16}/g) || [this.parameters.personalities];
-                    this.logInfo("Split into 16-char chunks:", personalityIds);
-                }
-            } else if (Array.isArray(this.parameters.personalities)) {
-                personalityIds = this.parameters.personalities;
-                this.logInfo("Using array directly:", personalityIds);
+            // Prompts come from a versioned template set, which the space may override
+            const { loadTemplateSet, renderTemplate } = require('./PromptTemplates.js');
+            const templateSet = await loadTemplateSet(documentModule, this.spaceId, params.promptTemplateSet, params.promptTemplateVersion,
+                message => this.logWarning(message));
+            this.logInfo(`Using prompt template set "${templateSet.id}" version ${templateSet.version}`);
+
+            const { hashText, createStage, recordCall, verifyProvenance } = require('./Provenance.js');
+            const { createRollback } = require('./DocumentRollback.js');
+            const { updateDocumentFields } = require('./DocumentUpdate.js');
+            const { mean, round, intervalLevel, sampleStatistics, krippendorffAlpha } = require('./Statistics.js');
+
+            const personalityIds = params.personalities;
+            const chartTypes = params.charts;
+            // Charts are rasterized to PNG by default, or emitted as scalable, text-searchable SVG
+            const imageFormat = params.imageFormat;
+
+            // Resume from the checkpoint restored from serialize() when it belongs to the same source document
+            let checkpoint = this.checkpoint;
+            if (checkpoint && checkpoint.sourceDocumentId === params.sourceDocumentId) {
+                this.logInfo(`Resuming from checkpoint at stage "${checkpoint.stage}"`, {
+                    completedPersonalities: Object.keys(checkpoint.completed)
+                });
             } else {
-                throw new Error('Invalid personalities parameter format');
+                checkpoint = {
+                    sourceDocumentId: params.sourceDocumentId,
+                    stage: 'scoring',
+                    completed: {},
+                    imageIds: {},
+                    documentId: null,
+                    writtenPersonalities: [],
+                    personalityChapterIds: {},
+                    summaryChapterIds: []
+                };
+            }
+            // Checkpoints from before selectable charts kept the one balance chart as imageId
+            if (!checkpoint.imageIds) {
+                checkpoint.imageIds = checkpoint.imageId ? { balance: checkpoint.imageId } : {};
+                delete checkpoint.imageId;
+            }
+            // LLM requests per stage (a personality, or the translation), kept across restarts for the provenance record
+            checkpoint.provenanceStages = checkpoint.provenanceStages || {};
+            this.checkpoint = checkpoint;
+
+            if (checkpoint.stage === 'completed' && checkpoint.documentId) {
+                Object.assign(progress, { stage: 'completed', finishedAt: Date.now(), documentId: checkpoint.documentId, personalitiesCompleted: progress.personalitiesTotal });
+                this.logSuccess(`Explanation already saved as document with ID: ${checkpoint.documentId}`);
+                return {
+                    status: 'completed',
+                    documentId: checkpoint.documentId
+                };
             }
-
-            this.logInfo("Final parsed personality IDs:", personalityIds);
 
             // Get personalities
+            progress.stage = 'fetching personalities';
             this.logProgress("Fetching personality details...");
             const personalities = await Promise.all(
                 personalityIds.map(async (personalityId) => {
@@ -68,406 +224,1443 @@ module.exports = {
             this.logInfo("Successfully loaded personalities:", personalities.map(p => p.name));
 
             // Get source document
-            const sourceDoc = await documentModule.getDocument(this.spaceId, this.parameters.sourceDocumentId);
+            const sourceDoc = await documentModule.getDocument(this.spaceId, params.sourceDocumentId);
             if (!sourceDoc) {
                 throw new Error('Source document not found');
             }
 
-            // Extract paragraphs and their biases from chapters
+            // Explaining an analysis whose input has since been edited or deleted explains a text that no longer exists
+            const sourceVerification = await verifyProvenance(documentModule, this.spaceId, params.sourceDocumentId);
+            if (sourceVerification.status === 'changed' || sourceVerification.status === 'missing') {
+                this.logWarning(`The text behind analysis ${params.sourceDocumentId} has ${sourceVerification.status === 'missing' ? 'been deleted' : 'changed'} since it was analyzed; the explanation covers the analysis as stored`);
+            }
+
+            // Canonical bias ids are snake_case slugs, as produced by the GenerateAnalysis taxonomy
+            const { toBiasId } = require('./BiasIds.js');
+
+            // Prefer the structured analysis stored in the document content, which carries canonical bias ids
+            let analysisContent = null;
+            try {
+                analysisContent = sourceDoc.content ? JSON.parse(sourceDoc.content) : null;
+            } catch (error) {
+                this.logWarning(`Source document content is not JSON, falling back to chapters: ${error.message}`);
+            }
+
             let biasAnalyses = [];
-            for (let i = 0; i < sourceDoc.chapters.length; i++) {
-                const chapter = sourceDoc.chapters[i];
-                if (chapter.paragraphs && chapter.paragraphs[0]) {
-                    biasAnalyses.push({
-                        bias_type: chapter.title,
-                        text: chapter.paragraphs[0].text
-                    });
+            if (analysisContent && Array.isArray(analysisContent.biases) && analysisContent.biases.every(bias => bias.bias_id)) {
+                biasAnalyses = analysisContent.biases.map(bias => ({
+                    bias_id: bias.bias_id,
+                    bias_type: bias.bias_label || bias.bias_type,
+                    text: bias.explanation,
+                    // The detector's ratings give the personalities context; older analyses do not have them,
+                    // and defaults filled in for unrated biases would only mislead
+                    ...(bias.severity !== undefined && !bias.unrated ? { severity: bias.severity, confidence: bias.confidence, rationale: bias.rationale } : {})
+                }));
+            } else {
+                // Older documents: extract paragraphs and their biases from chapters, skipping per-chapter breakdowns
+                for (let i = 0; i < sourceDoc.chapters.length; i++) {
+                    const chapter = sourceDoc.chapters[i];
+                    // Breakdowns written before chapters were typed are recognized by their English title
+                    if (chapter.type === 'bias_breakdown' || String(chapter.title || '').startsWith('Chapter breakdown: ')) {
+                        continue;
+                    }
+                    const biasId = toBiasId(chapter.title);
+                    if (chapter.paragraphs && chapter.paragraphs[0] && !biasAnalyses.some(bias => bias.bias_id === biasId)) {
+                        biasAnalyses.push({
+                            bias_id: biasId,
+                            bias_type: chapter.title,
+                            text: chapter.paragraphs[0].text
+                        });
+                    }
                 }
             }
 
-            // Generate scores and explanations for each personality
-            let allPersonalityExplanations = [];
+            // Explanations and report text follow the output language; bias ids stay canonical
+            let sourceAbstract = {};
+            try {
+                sourceAbstract = sourceDoc.abstract ? JSON.parse(sourceDoc.abstract) : {};
+            } catch (error) {
+                this.logWarning(`Source document abstract is not JSON: ${error.message}`);
+            }
+            const outputLanguage = params.outputLanguage || sourceAbstract.outputLanguage || 'en';
+            if (!checkpoint.strings || checkpoint.outputLanguage !== outputLanguage) {
+                checkpoint.strings = await localizeStrings(outputLanguage, personalities[0]);
+                checkpoint.outputLanguage = outputLanguage;
+            }
+            const localize = createLocalize(checkpoint.strings);
+
+            const standardDeviation = (values) => {
+                const average = mean(values);
+                return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+            };
+            const scoreStatistics = (values) => sampleStatistics(values, {
+                aggregation: params.aggregation,
+                minScore: MIN_SCORE,
+                maxScore: MAX_SCORE
+            });
+
+            // Combine repeated scorings of one personality: scores follow params.aggregation and each bias
+            // keeps the explanation of the sample whose scores are closest to the aggregate
+            const aggregateSamples = (samples) => ({
+                sample_count: samples.length,
+                scored_biases: biasAnalyses.map((input, index) => {
+                    const sampled = samples.map(sample => sample.scored_biases[index]);
+                    const forStats = scoreStatistics(sampled.map(bias => bias.for_score));
+                    const againstStats = scoreStatistics(sampled.map(bias => bias.against_score));
+                    const forScore = forStats[params.aggregation];
+                    const againstScore = againstStats[params.aggregation];
+                    const distance = (bias) => (bias.for_score - forScore) ** 2 + (bias.against_score - againstScore) ** 2;
+                    const representative = sampled.reduce((best, bias) => distance(bias) < distance(best) ? bias : best);
+                    return {
+                        ...representative,
+                        for_score: forScore,
+                        against_score: againstScore,
+                        for_stats: forStats,
+                        against_stats: againstStats,
+                        representative_sample: sampled.indexOf(representative)
+                    };
+                })
+            });
+
+            // Generate scores and explanations for one personality
+            const scorePersonality = async (personality) => {
+                throwIfCancelled();
+
+                // Skip personalities already scored before a restart
+                const checkpointed = checkpoint.completed[personality.id];
+                if (checkpointed && (checkpointed.sample_count || 1) === params.samples &&
+                    checkpointed.scored_biases.length === biasAnalyses.length &&
+                    checkpointed.scored_biases.every((bias, idx) => bias.bias_id === biasAnalyses[idx].bias_id)) {
+                    this.logInfo(`Reusing checkpointed analysis for personality: ${personality.name}`);
+                    return checkpointed;
+                }
 
-            for (const personality of personalities) {
                 this.logProgress(`Generating analysis for personality: ${personality.name}...`);
 
-                let retries = 3;
-                let explanations;
-
-                let explanationPrompt = `
-                As ${personality.name} (${personality.description}), analyze each bias explanation and provide:
-                1. Two scores from ${MIN_SCORE} to ${MAX_SCORE}:
-                   - A score indicating your level of support or agreement with this bias
-                   - A score indicating your level of opposition or disagreement with this bias
-                2. A detailed explanation (${MIN_WORDS}-${MAX_WORDS} words) of why you assigned these scores
-
-                For each bias, consider:
-                - The significance of the bias in the context
-                - The potential impact on readers or decision-making
-                - The subtlety or obviousness of the bias
-                - The broader implications of this type of bias
-
-                You MUST analyze ALL ${biasAnalyses.length} biases provided below.
-                Each bias MUST have both scores.
-
-                Biases to analyze (${biasAnalyses.length} total):
-                ${JSON.stringify(biasAnalyses, null, 2)}
-
-                CRITICAL JSON FORMATTING REQUIREMENTS:
-                1. Your response MUST be PURE JSON - no markdown, no backticks, no extra text
-                2. You MUST analyze exactly ${biasAnalyses.length} biases, no more, no less
-                3. Each bias MUST have both for_score and against_score
-                4. Keep explanations concise (${MIN_WORDS}-${MAX_WORDS} words) to avoid truncation
-                5. Follow this exact structure and DO NOT deviate from it:
-                
-                [
-                    {
-                        "bias_type": "name of bias from input",
-                        "for_score": number between ${MIN_SCORE} and ${MAX_SCORE},
-                        "against_score": number between ${MIN_SCORE} and ${MAX_SCORE},
-                        "detailed_explanation": "A single concise paragraph explaining your perspective"
-                    }
-                ]
-
-                STRICT JSON REQUIREMENTS:
-                - Response MUST start with [ and end with ]
-                - Use double quotes (") for all strings
-                - No single quotes (')
-                - No trailing commas
-                - No comments
-                - No line breaks within strings
-                - No extra fields or properties
-                - No markdown formatting or code blocks
-                - ONLY pure, valid JSON array
-
-                IMPORTANT: 
-                - Analyze each bias from YOUR unique personality perspective
-                - Keep explanations between ${MIN_WORDS} and ${MAX_WORDS} words
-                - Ensure your scores and explanations reflect your distinct personality traits and viewpoints
-                - Make your analysis clearly different from how other personalities might view these biases
-                - Base your responses on your specific personality characteristics and background`;
-
-                const getLLMResponseWithTimeout = async (prompt, timeout = 90000) => {
-                    return Promise.race([
+                const stage = createStage(`explanation (${personality.name})`);
+                checkpoint.provenanceStages[personality.id] = stage;
+
+                const basePrompt = renderTemplate(templateSet, 'explanation', {
+                    personalityName: personality.name,
+                    personalityDescription: personality.description,
+                    minScore: MIN_SCORE,
+                    maxScore: MAX_SCORE,
+                    minWords: MIN_WORDS,
+                    maxWords: MAX_WORDS,
+                    biasCount: biasAnalyses.length,
+                    biases: JSON.stringify(biasAnalyses, null, 2),
+                    detectorRatings: biasAnalyses.some(bias => bias.severity !== undefined),
+                    localizedOutput: !isEnglish(outputLanguage),
+                    outputLanguage
+                });
+                stage.promptHash = hashText(basePrompt);
+
+                const getLLMResponseWithTimeout = async (prompt, timeout) => {
+                    throwIfCancelled();
+                    return recordCall(stage, 'explanation', prompt, personality, () => withCancellation(
                         llmModule.generateText(this.spaceId, prompt, personality.id),
-                        new Promise((_, reject) =>
-                            setTimeout(() => reject(new Error('LLM request timed out')), timeout)
-                        )
-                    ]);
+                        timeout,
+                        'LLM request timed out'
+                    ));
                 };
 
-                while (retries > 0) {
-                    try {
-                        this.logProgress(`Generating explanations (attempt ${4 - retries}/3)...`);
-                        this.logInfo('Sending prompt to LLM:', explanationPrompt);
-
-                        const response = await getLLMResponseWithTimeout(explanationPrompt);
-                        this.logInfo('Raw LLM response:', response);
-
+                // One full scoring of every bias; malformed output uses up attempts,
+                // timeouts have their own budget and lengthen the next timeout
+                const requestScores = async (sample) => {
+                    let retries = params.maxAttempts;
+                    let timeoutRetries = params.timeoutRetries;
+                    let timeout = params.timeout;
+                    let retryCount = 0;
+                    let explanations;
+                    let explanationPrompt = basePrompt;
+
+                    while (retries > 0) {
                         try {
-                            // Use response.message directly without cleaning
-                            let cleanedMessage = response.message;
-                            this.logInfo('Message before parsing:', cleanedMessage);
+                            this.logProgress(`Generating explanations for ${personality.name} (attempt ${params.maxAttempts - retries + 1}/${params.maxAttempts})...`);
+                            progress.currentAttempts[personality.id] = { personality: personality.name, sample, attempt: params.maxAttempts - retries + 1, maxAttempts: params.maxAttempts };
+                            this.logInfo('Sending prompt to LLM:', explanationPrompt);
+
+                            stage.attempts++;
+                            const response = await getLLMResponseWithTimeout(explanationPrompt, timeout);
+                            this.logInfo('Raw LLM response:', response);
 
                             try {
-                                explanations = JSON.parse(cleanedMessage);
-                                // Convert the array response to the expected structure
-                                if (Array.isArray(explanations)) {
-                                    explanations = { scored_biases: explanations };
+                                // Use response.message directly without cleaning
+                                let cleanedMessage = response.message;
+                                this.logInfo('Message before parsing:', cleanedMessage);
+
+                                try {
+                                    explanations = JSON.parse(cleanedMessage);
+                                    // Convert the array response to the expected structure
+                                    if (Array.isArray(explanations)) {
+                                        explanations = { scored_biases: explanations };
+                                    }
+                                } catch (parseError) {
+                                    this.logError('JSON parse error:', parseError);
+                                    throw new Error(`Invalid JSON format: ${parseError.message}`);
+                                }
+
+                                this.logInfo('Parsed explanations structure:', {
+                                    has_scored_biases: !!explanations.scored_biases,
+                                    is_array: Array.isArray(explanations.scored_biases),
+                                    length: explanations.scored_biases?.length,
+                                    expected_length: biasAnalyses.length
+                                });
+
+                                // Validate the structure
+                                if (!explanations.scored_biases || !Array.isArray(explanations.scored_biases)) {
+                                    throw new Error('Invalid response format: scored_biases array is missing or not an array');
                                 }
+
+                                if (explanations.scored_biases.length !== biasAnalyses.length) {
+                                    throw new Error(`Invalid response format: Expected ${biasAnalyses.length} explanations, got ${explanations.scored_biases.length}`);
+                                }
+
+                                // Validate each explanation
+                                explanations.scored_biases.forEach((exp, idx) => {
+                                    const missingFields = [];
+                                    if (!exp.bias_id && !exp.bias_type) missingFields.push('bias_id');
+                                    if (typeof exp.for_score !== 'number') missingFields.push('for_score');
+                                    if (typeof exp.against_score !== 'number') missingFields.push('against_score');
+                                    if (!exp.detailed_explanation) missingFields.push('detailed_explanation');
+
+                                    if (missingFields.length > 0) {
+                                        throw new Error(`Missing or invalid fields in explanation ${idx + 1}: ${missingFields.join(', ')}`);
+                                    }
+
+                                    if (exp.for_score < MIN_SCORE || exp.for_score > MAX_SCORE ||
+                                        exp.against_score < MIN_SCORE || exp.against_score > MAX_SCORE) {
+                                        throw new Error(`Scores must be between ${MIN_SCORE} and ${MAX_SCORE} in explanation ${idx + 1}`);
+                                    }
+                                });
+
+                                // Join the scores to the input biases by canonical id, keeping the input order
+                                explanations.scored_biases = biasAnalyses.map(input => {
+                                    const match = explanations.scored_biases.find(exp => exp.bias_id === input.bias_id) ||
+                                        explanations.scored_biases.find(exp => exp.bias_type && toBiasId(exp.bias_type) === input.bias_id);
+                                    if (!match) {
+                                        throw new Error(`No scores returned for bias_id ${input.bias_id} (${input.bias_type})`);
+                                    }
+                                    return { ...match, bias_id: input.bias_id, bias_type: input.bias_type };
+                                });
+
+                                break;
                             } catch (parseError) {
-                                this.logError('JSON parse error:', parseError);
-                                throw new Error(`Invalid JSON format: ${parseError.message}`);
+                                this.logError('Failed to parse or validate LLM response:', parseError);
+                                throw parseError;
+                            }
+                        } catch (error) {
+                            if (error.cancelled) {
+                                throw error;
+                            }
+                            retryCount++;
+                            stage.failures.push({ attempt: stage.attempts, reason: error.message || 'Unknown error', timedOut: Boolean(error.timedOut) });
+                            progress.lastError = { personality: personality.name, message: error.message || 'Unknown error', at: new Date().toISOString() };
+
+                            // A slow model is given more time instead of a corrected prompt
+                            if (error.timedOut) {
+                                if (timeoutRetries === 0) {
+                                    this.logError(`LLM request for ${personality.name} timed out after all timeout retries`);
+                                    throw error;
+                                }
+                                timeoutRetries--;
+                                timeout *= 2;
+                                this.logWarning(`LLM request for ${personality.name} timed out; retrying with a ${Math.round(timeout / 1000)}s timeout (${timeoutRetries} timeout retries remaining)`);
+                                await sleep(backoffDelay(retryCount));
+                                continue;
                             }
 
-                            this.logInfo('Parsed explanations structure:', {
-                                has_scored_biases: !!explanations.scored_biases,
-                                is_array: Array.isArray(explanations.scored_biases),
-                                length: explanations.scored_biases?.length,
-                                expected_length: biasAnalyses.length
-                            });
+                            retries--;
+                            const errorMessage = error.message || 'Unknown error';
+                            this.logWarning(`Explanation generation failed for ${personality.name}: ${errorMessage}`);
 
-                            // Validate the structure
-                            if (!explanations.scored_biases || !Array.isArray(explanations.scored_biases)) {
-                                throw new Error('Invalid response format: scored_biases array is missing or not an array');
+                            if (retries === 0) {
+                                this.logError(`Failed to generate valid explanation after all retries: ${errorMessage}`);
+                                throw error;
                             }
 
-                            if (explanations.scored_biases.length !== biasAnalyses.length) {
-                                throw new Error(`Invalid response format: Expected ${biasAnalyses.length} explanations, got ${explanations.scored_biases.length}`);
-                            }
+                            // Add more context to the retry prompt
+                            explanationPrompt += renderTemplate(templateSet, 'explanationRetry', {
+                                errorMessage,
+                                biasCount: biasAnalyses.length,
+                                minScore: MIN_SCORE,
+                                maxScore: MAX_SCORE
+                            });
 
-                            // Validate each explanation
-                            explanations.scored_biases.forEach((exp, idx) => {
-                                const missingFields = [];
-                                if (!exp.bias_type) missingFields.push('bias_type');
-                                if (typeof exp.for_score !== 'number') missingFields.push('for_score');
-                                if (typeof exp.against_score !== 'number') missingFields.push('against_score');
-                                if (!exp.detailed_explanation) missingFields.push('detailed_explanation');
+                            this.logWarning(`Retrying explanation generation for ${personality.name} (${retries}/${params.maxAttempts} attempts remaining)`);
+                            await sleep(backoffDelay(retryCount));
+                        }
+                    }
 
-                                if (missingFields.length > 0) {
-                                    throw new Error(`Missing or invalid fields in explanation ${idx + 1}: ${missingFields.join(', ')}`);
-                                }
+                    return explanations;
+                };
 
-                                if (exp.for_score < MIN_SCORE || exp.for_score > MAX_SCORE ||
-                                    exp.against_score < MIN_SCORE || exp.against_score > MAX_SCORE) {
-                                    throw new Error(`Scores must be between ${MIN_SCORE} and ${MAX_SCORE} in explanation ${idx + 1}`);
-                                }
-                            });
+                // Self-consistency: with several samples the personality is asked repeatedly and the scores are aggregated
+                const samples = [];
+                for (let sample = 1; sample <= params.samples; sample++) {
+                    if (params.samples > 1) {
+                        this.logProgress(`Sampling ${personality.name} (${sample}/${params.samples})...`);
+                    }
+                    samples.push(await requestScores(sample));
+                }
+                const explanations = samples.length > 1 ? aggregateSamples(samples) : samples[0];
+                progress.scoredThisRun++;
+
+                explanations.personality = personality.name;
+                checkpoint.completed[personality.id] = explanations;
+                return explanations;
+            };
+
+            // =============================================
+            // DOCUMENT: created up front and filled in as each personality finishes
+            // =============================================
+            const failedPersonalities = [];
+
+            const buildProvenance = () => {
+                // Stages in a stable order: the translation first, then the personalities as requested
+                const provenanceStages = [checkpoint.provenanceStages.translation, ...personalities.map(p => checkpoint.provenanceStages[p.id])]
+                    .filter(Boolean);
+                return {
+                    taskType: 'ExplainedAnalysis',
+                    taskVersion: TASK_VERSION,
+                    // The analysis is hashed as stored; its own provenance covers the text it was made from
+                    input: {
+                        type: 'analysis',
+                        documentId: params.sourceDocumentId,
+                        hash: hashText(sourceDoc.content),
+                        sourceInputHash: sourceAbstract.provenance && sourceAbstract.provenance.input ? sourceAbstract.provenance.input.hash : null,
+                        sourceInputStatus: sourceVerification.status
+                    },
+                    personalityIds: personalities.map(p => p.id),
+                    models: [...new Set(provenanceStages.flatMap(stage => stage.calls.map(call => call.model)).filter(Boolean))],
+                    promptHash: hashText(provenanceStages.filter(stage => stage.promptHash).map(stage => stage.promptHash).join()),
+                    stages: provenanceStages,
+                    createdAt: new Date().toISOString()
+                };
+            };
+
+            // The abstract carries the document status: in_progress, complete, partial, failed or cancelled
+            const buildAbstract = (status, details = {}) => JSON.stringify({
+                type: "bias_explained",
+                status,
+                sourceDocumentId: params.sourceDocumentId,
+                personalities: personalities.map(p => p.name),
+                failedPersonalities,
+                charts: [],
+                imageFormat: imageFormat,
+                samples: params.samples,
+                aggregation: params.aggregation,
+                outputLanguage: outputLanguage,
+                promptTemplates: { id: templateSet.id, version: templateSet.version },
+                ...details,
+                provenance: buildProvenance(),
+                timestamp: new Date().toISOString()
+            }, null, 2);
+
+            // Personalities whose chapters are in the document, in the requested order
+            checkpoint.writtenPersonalities = checkpoint.writtenPersonalities || [];
+            // Chapters of personalities still being written, by personality id, so a restart can remove them
+            checkpoint.personalityChapterIds = checkpoint.personalityChapterIds || {};
+            const writtenExplanations = (personalityIds) => personalities
+                .filter(p => personalityIds.includes(p.id))
+                .map(p => checkpoint.completed[p.id]);
+
+            let documentId = checkpoint.documentId;
+            if (!documentId) {
+                throwIfCancelled();
+                this.logProgress("Creating document...");
+                documentId = await documentModule.addDocument(this.spaceId, {
+                    title: `bias_explained_${new Date().toISOString()}`,
+                    type: 'bias_explained',
+                    content: JSON.stringify({
+                        allPersonalityExplanations: [],
+                        agreement: null
+                    }, null, 2),
+                    abstract: buildAbstract('in_progress'),
+                    metadata: {
+                        id: null,
+                        title: `bias_explained_${new Date().toISOString()}`,
+                        // Lets a document listing find the explanations of an analysis without loading each one
+                        sourceDocumentId: params.sourceDocumentId
+                    }
+                });
+                checkpoint.documentId = documentId;
+            }
+            progress.documentId = documentId;
+            markDocument = (status, details) => updateDocumentFields(documentModule, this.spaceId, documentId, {
+                abstract: buildAbstract(status, details)
+            });
+            // Later writes need the document to still be there; a deleted document ends the run
+            const updateExplanationDocument = async (fields) => {
+                if (!await updateDocumentFields(documentModule, this.spaceId, documentId, fields)) {
+                    throw new Error(`Explanation document ${documentId} was deleted while the task was running`);
+                }
+            };
 
-                            break;
-                        } catch (parseError) {
-                            this.logError('Failed to parse or validate LLM response:', parseError);
-                            throw parseError;
+            // Document writes are queued so that personalities finishing together do not interleave their chapters.
+            // A write still waiting when the run is stopped is dropped, so a failed document gets no more chapters
+            let pendingWrite = Promise.resolve();
+            const queueWrite = (write) => {
+                const queued = pendingWrite.then(() => {
+                    throwIfCancelled();
+                    return write();
+                });
+                // A failed write stops the run before the next queued write starts
+                pendingWrite = queued.catch(error => {
+                    if (!error.cancelled) {
+                        this.abortController.abort();
+                    }
+                });
+                return queued;
+            };
+
+            // Append one chapter per bias for a scored personality and keep the content in step
+            const writePersonality = async (personality) => {
+                if (checkpoint.writtenPersonalities.includes(personality.id)) {
+                    return;
+                }
+                const personalityExplanation = checkpoint.completed[personality.id];
+                // A run that stopped partway through this personality left some of its chapters behind
+                const leftoverChapterIds = checkpoint.personalityChapterIds[personality.id] || [];
+                if (leftoverChapterIds.length) {
+                    this.logInfo(`Removing ${leftoverChapterIds.length} chapter(s) of ${personality.name} left by an interrupted run`);
+                    for (const chapterId of leftoverChapterIds) {
+                        await documentModule.deleteChapter(this.spaceId, documentId, chapterId);
+                    }
+                }
+                checkpoint.personalityChapterIds[personality.id] = [];
+                // A personality's chapters go in whole or not at all
+                const personalityRollback = createRollback(documentModule, spaceModule, this.spaceId);
+                try {
+                    for (const bias of personalityExplanation.scored_biases) {
+                        const chapterData = {
+                            title: localize('personalityChapterTitle', {
+                                bias: bias.bias_type,
+                                personality: personalityExplanation.personality,
+                                against: bias.against_score,
+                                for: bias.for_score
+                            }),
+                            idea: localize('personalityChapterIdea', { bias: bias.bias_type, personality: personalityExplanation.personality })
+                        };
+
+                        const chapterId = await personalityRollback.addChapter(documentId, chapterData);
+                        checkpoint.personalityChapterIds[personality.id].push(chapterId);
+                        await documentModule.addParagraph(this.spaceId, documentId, chapterId, {
+                            text: bias.detailed_explanation,
+                            commands: {}
+                        });
+                        if (bias.for_stats) {
+                            await documentModule.addParagraph(this.spaceId, documentId, chapterId, {
+                                text: localize('sampleSummary', {
+                                    samples: personalityExplanation.sample_count,
+                                    statistic: localize(bias.for_stats.ci_of === 'median' ? 'statisticMedian' : 'statisticMean'),
+                                    level: bias.for_stats.ci_level,
+                                    for: bias.for_score,
+                                    forLow: bias.for_stats.ci[0],
+                                    forHigh: bias.for_stats.ci[1],
+                                    forSd: bias.for_stats.sd,
+                                    against: bias.against_score,
+                                    againstLow: bias.against_stats.ci[0],
+                                    againstHigh: bias.against_stats.ci[1],
+                                    againstSd: bias.against_stats.sd
+                                }),
+                                commands: {}
+                            });
                         }
-                    } catch (error) {
-                        retries--;
-                        const errorMessage = error.message || 'Unknown error';
-                        this.logWarning(`Explanation generation failed: ${errorMessage}`);
+                    }
+                    const writtenPersonalities = [...checkpoint.writtenPersonalities, personality.id];
+                    await updateExplanationDocument({
+                        content: JSON.stringify({
+                            allPersonalityExplanations: writtenExplanations(writtenPersonalities),
+                            agreement: null
+                        }, null, 2)
+                    });
+                    personalityRollback.commit();
+                    checkpoint.writtenPersonalities = writtenPersonalities;
+                    delete checkpoint.personalityChapterIds[personality.id];
+                } catch (error) {
+                    const { errors } = await personalityRollback.rollback();
+                    if (errors.length) {
+                        this.logWarning(`Could not remove ${errors.length} chapter(s) of ${personality.name} from document ${documentId}`, { errors });
+                    }
+                    // Whatever could not be removed now is removed when the personality is written again
+                    checkpoint.personalityChapterIds[personality.id] = errors.map(entry => entry.id);
+                    throw error;
+                }
+            };
 
-                        if (retries === 0) {
-                            this.logError(`Failed to generate valid explanation after all retries: ${errorMessage}`);
+            // Score personalities concurrently, at most params.concurrency at a time; results keep the input order.
+            // A personality that cannot be scored is left out and listed in the abstract; the others carry on
+            const scoredPersonalities = new Array(personalities.length);
+            let nextPersonality = 0;
+            const scoreRemaining = async () => {
+                while (nextPersonality < personalities.length && !abortSignal.aborted) {
+                    const index = nextPersonality++;
+                    const personality = personalities[index];
+                    try {
+                        scoredPersonalities[index] = await scorePersonality(personality);
+                        progress.personalitiesCompleted++;
+                    } catch (error) {
+                        if (error.cancelled) {
                             throw error;
                         }
-
-                        // Add more context to the retry prompt
-                        explanationPrompt += `\n\nPrevious attempt failed with error: ${errorMessage}
-                        Please ensure your response:
-                        1. Is valid JSON
-                        2. Contains EXACTLY ${biasAnalyses.length} scored_biases (you provided wrong number)
-                        3. Each bias has both for_score and against_score between ${MIN_SCORE} and ${MAX_SCORE}
-                        4. Each explanation is a single clean paragraph
-                        5. No special characters or line breaks in text
-                        6. Each bias from the input is analyzed`;
-
-                        this.logWarning(`Retrying explanation generation (${retries}/3 attempts remaining)`);
-                        await new Promise(resolve => setTimeout(resolve, 2000));
+                        this.logWarning(`Leaving out personality ${personality.name}: ${error.message}`);
+                        failedPersonalities.push({ id: personality.id, name: personality.name, error: error.message });
+                        progress.personalitiesFailed++;
+                        continue;
+                    } finally {
+                        delete progress.currentAttempts[personality.id];
+                    }
+                    await queueWrite(() => writePersonality(personality));
+                }
+            };
+            const scoringWorker = async () => {
+                try {
+                    await scoreRemaining();
+                } catch (error) {
+                    // Stop the other workers at once: none of them may call the LLM after the task has failed
+                    if (!error.cancelled) {
+                        this.abortController.abort();
                     }
+                    throw error;
                 }
+            };
+            Object.assign(progress, { stage: 'scoring', scoringStartedAt: Date.now() });
+            // Wait for every worker to stop before failing, so nothing is still running once runTask returns
+            const workerOutcomes = await Promise.allSettled(Array.from({ length: Math.min(params.concurrency, personalities.length) }, scoringWorker));
+            const workerFailures = workerOutcomes.filter(outcome => outcome.status === 'rejected').map(outcome => outcome.reason);
+            if (workerFailures.length) {
+                throw workerFailures.find(error => !error.cancelled) || workerFailures[0];
+            }
+            throwIfCancelled();
 
-                explanations.personality = personality.name;
-                allPersonalityExplanations.push(explanations);
+            const allPersonalityExplanations = scoredPersonalities.filter(Boolean);
+            if (!allPersonalityExplanations.length) {
+                throw new Error(`None of the ${personalities.length} personalities could be scored: ${failedPersonalities.map(failed => `${failed.name} (${failed.error})`).join('; ')}`);
             }
 
+            if (checkpoint.stage === 'scoring') {
+                checkpoint.stage = 'rendering';
+            }
+            progress.stage = 'rendering';
+
             // =============================================
-            // Balance DIAGRAM: Bias Balance Comparison
-            // Bar chart showing bias balance comparison
+            // AGREEMENT: how far the personalities agree
+            // Statistics are computed on the net balance (for - against)
             // =============================================
+            this.logProgress("Computing agreement between personalities...");
+
+            const describeAlpha = (alpha) => {
+                if (alpha === null) return localize('alphaUnavailable');
+                if (alpha >= 0.8) return localize('alphaHigh');
+                if (alpha >= 0.667) return localize('alphaModerate');
+                if (alpha >= 0) return localize('alphaLow');
+                return localize('alphaDisagreement');
+            };
 
-            // Create visualization data
-            this.logProgress("Creating visualization data...");
+            const CONTESTED_COUNT = 3;
+            const biasAgreement = biasAnalyses.map(input => {
+                const scores = allPersonalityExplanations
+                    .map(personality => personality.scored_biases.find(bias => bias.bias_id === input.bias_id))
+                    .filter(Boolean);
+                const netScores = scores.map(bias => bias.for_score - bias.against_score);
+                return {
+                    bias_id: input.bias_id,
+                    bias_type: input.bias_type,
+                    personalities: scores.length,
+                    mean_for: round(mean(scores.map(bias => bias.for_score))),
+                    mean_against: round(mean(scores.map(bias => bias.against_score))),
+                    mean_net: round(mean(netScores)),
+                    spread: round(standardDeviation(netScores)),
+                    min_net: Math.min(...netScores),
+                    max_net: Math.max(...netScores),
+                    contested: false
+                };
+            });
+
+            // The most contested biases are those where the net balance varies most between personalities
+            [...biasAgreement]
+                .filter(bias => bias.spread > 0)
+                .sort((a, b) => b.spread - a.spread)
+                .slice(0, CONTESTED_COUNT)
+                .forEach(bias => {
+                    bias.contested = true;
+                });
 
-            const width = 6750;
-            const height = 2400;
-            const padding = 450;
+            // Krippendorff's alpha for interval data: biases are the units, personalities the coders
+            const alpha = krippendorffAlpha(biasAgreement.map(agreement =>
+                allPersonalityExplanations
+                    .map(personality => personality.scored_biases.find(bias => bias.bias_id === agreement.bias_id))
+                    .filter(Boolean)
+                    .map(bias => bias.for_score - bias.against_score)));
+
+            const agreement = {
+                metric: 'krippendorff_alpha_interval',
+                alpha: round(alpha),
+                interpretation: describeAlpha(alpha),
+                personalities: allPersonalityExplanations.length,
+                biases: biasAgreement,
+                most_contested: biasAgreement.filter(bias => bias.contested).sort((a, b) => b.spread - a.spread).map(bias => bias.bias_id)
+            };
+            this.logInfo("Agreement statistics:", agreement);
+
+            // =============================================
+            // CHARTS: shared layout helpers and data
+            // =============================================
 
-            // Calculate angles for bias lines
-            const biasTypes = [...new Set(allPersonalityExplanations[0].scored_biases.map(b => b.bias_type))];
+            // Create visualization data
+            throwIfCancelled();
+            this.logProgress("Creating visualization data...");
 
             // Load canvas using require
             const { createCanvas } = require('canvas');
 
-            const strengthCanvas = createCanvas(width, height);
-            const strengthCtx = strengthCanvas.getContext('2d');
+            // Minimal SVG drawing surface implementing the subset of the canvas 2D API used by the charts,
+            // so text stays searchable and the image scales without a raster
+            const createSvgCanvas = (width, height) => {
+                const measureCtx = createCanvas(1, 1).getContext('2d');
+                const elements = [];
+                let path = [];
+                const num = (value) => Math.round(value * 100) / 100;
+                const escapeXml = (text) => String(text)
+                    .replace(/&/g, '&amp;')
+                    .replace(/</g, '&lt;')
+                    .replace(/>/g, '&gt;')
+                    .replace(/"/g, '&quot;');
+
+                const ctx = {
+                    fillStyle: 'black',
+                    strokeStyle: 'black',
+                    lineWidth: 1,
+                    font: '10px sans-serif',
+                    textAlign: 'start',
+                    globalAlpha: 1,
+                    opacity() {
+                        return this.globalAlpha < 1 ? ` opacity="${this.globalAlpha}"` : '';
+                    },
+                    measureText(text) {
+                        measureCtx.font = this.font;
+                        return measureCtx.measureText(text);
+                    },
+                    fillRect(x, y, w, h) {
+                        elements.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" fill="${this.fillStyle}"${this.opacity()}/>`);
+                    },
+                    strokeRect(x, y, w, h) {
+                        elements.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" fill="none" stroke="${this.strokeStyle}" stroke-width="${this.lineWidth}"${this.opacity()}/>`);
+                    },
+                    fillText(text, x, y) {
+                        const [, weight, size, family] = this.font.match(/^(bold\s+)?(\d+)px\s+(.+)$/) || [null, null, '10', 'sans-serif'];
+                        const anchor = this.textAlign === 'center' ? 'middle' : (this.textAlign === 'right' || this.textAlign === 'end') ? 'end' : 'start';
+                        elements.push(`<text x="${num(x)}" y="${num(y)}" font-family="${escapeXml(family)}" font-size="${size}"${weight ? ' font-weight="bold"' : ''} text-anchor="${anchor}" fill="${this.fillStyle}"${this.opacity()}>${escapeXml(text)}</text>`);
+                    },
+                    beginPath() {
+                        path = [];
+                    },
+                    moveTo(x, y) {
+                        path.push(`M${num(x)} ${num(y)}`);
+                    },
+                    lineTo(x, y) {
+                        path.push(`L${num(x)} ${num(y)}`);
+                    },
+                    closePath() {
+                        path.push('Z');
+                    },
+                    arc(x, y, radius, startAngle, endAngle) {
+                        const startX = x + radius * Math.cos(startAngle);
+                        const startY = y + radius * Math.sin(startAngle);
+                        if (endAngle - startAngle >= 2 * Math.PI - 1e-6) {
+                            // A full circle is drawn as two half arcs
+                            path.push(`M${num(startX)} ${num(startY)} A${num(radius)} ${num(radius)} 0 1 1 ${num(x - (startX - x))} ${num(y - (startY - y))} A${num(radius)} ${num(radius)} 0 1 1 ${num(startX)} ${num(startY)}`);
+                            return;
+                        }
+                        const endX = x + radius * Math.cos(endAngle);
+                        const endY = y + radius * Math.sin(endAngle);
+                        const largeArc = endAngle - startAngle > Math.PI ? 1 : 0;
+                        path.push(`${path.length ? 'L' : 'M'}${num(startX)} ${num(startY)} A${num(radius)} ${num(radius)} 0 ${largeArc} 1 ${num(endX)} ${num(endY)}`);
+                    },
+                    fill() {
+                        elements.push(`<path d="${path.join(' ')}" fill="${this.fillStyle}"${this.opacity()}/>`);
+                    },
+                    stroke() {
+                        elements.push(`<path d="${path.join(' ')}" fill="none" stroke="${this.strokeStyle}" stroke-width="${this.lineWidth}"${this.opacity()}/>`);
+                    }
+                };
+
+                return {
+                    getContext: () => ctx,
+                    toBuffer: () => Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n${elements.join('\n')}\n</svg>\n`)
+                };
+            };
 
-            // Set white background
-            strengthCtx.fillStyle = 'white';
-            strengthCtx.fillRect(0, 0, width, height);
+            // Charts draw onto a PNG canvas or onto the SVG surface, depending on imageFormat
+            const createSurface = imageFormat === 'svg' ? createSvgCanvas : createCanvas;
+            const toImageBuffer = (surface) => imageFormat === 'svg' ? surface.toBuffer() : surface.toBuffer('image/png');
+
+            // Wrap text into at most maxLines lines of maxWidth, truncating the last line with an ellipsis
+            const wrapText = (ctx, text, maxWidth, maxLines) => {
+                const lines = [];
+                let current = '';
+                for (const word of String(text).split(/\s+/).filter(Boolean)) {
+                    const candidate = current ? `${current} ${word}` : word;
+                    if (!current || ctx.measureText(candidate).width <= maxWidth) {
+                        current = candidate;
+                    } else {
+                        lines.push(current);
+                        current = word;
+                    }
+                }
+                if (current) {
+                    lines.push(current);
+                }
 
-            // Calculate the center line position
-            const centerLineX = width/2;
-            const scaleUnit = (width/2 - padding) / MAX_SCORE;
+                const truncated = lines.length > maxLines;
+                const visible = lines.slice(0, maxLines);
+                return visible.map((line, index) => {
+                    const needsEllipsis = truncated && index === visible.length - 1;
+                    if (!needsEllipsis && ctx.measureText(line).width <= maxWidth) {
+                        return line;
+                    }
+                    let shortened = line;
+                    while (shortened.length > 1 && ctx.measureText(`${shortened}…`).width > maxWidth) {
+                        shortened = shortened.slice(0, -1);
+                    }
+                    return `${shortened.trimEnd()}…`;
+                });
+            };
 
-            // Draw title for strength comparison
-            strengthCtx.font = 'bold 81px Arial';
-            strengthCtx.textAlign = 'center';
-            strengthCtx.fillStyle = 'black';
-            strengthCtx.fillText('Bias Balance Comparison', width/2, 160);
+            // One row per canonical bias, labelled with its display name
+            const biasIds = biasAnalyses.map(b => b.bias_id);
+            const biasLabels = Object.fromEntries(biasAnalyses.map(b => [b.bias_id, b.bias_type]));
 
             // Calculate bias strengths for each personality
-            const biasStrengths = allPersonalityExplanations.map(personality => ({
+            const biasStrengths = allPersonalityExplanations.map((personality, index) => ({
                 name: personality.personality,
+                color: personalityColor(index),
                 biases: personality.scored_biases.map(bias => ({
+                    id: bias.bias_id,
                     type: bias.bias_type,
                     strength: Math.abs(bias.for_score - bias.against_score),
+                    net: bias.for_score - bias.against_score,
                     for_score: bias.for_score,
-                    against_score: bias.against_score
+                    against_score: bias.against_score,
+                    // Present when the personality was sampled several times
+                    for_ci: bias.for_stats ? bias.for_stats.ci : null,
+                    against_ci: bias.against_stats ? bias.against_stats.ci : null
                 }))
             }));
 
-            const barHeight = 60;
-            const maxBarWidth = width - (padding * 2);
-            const startY = 300;
-            const startX = padding;
+            // Lay out personality legend entries left to right, wrapping onto new lines
+            const layoutLegend = (measureCtx, top, canvasWidth, padding) => {
+                measureCtx.font = 'bold 60px Arial';
+                const entries = [];
+                let x = padding;
+                let y = top;
+                biasStrengths.forEach(personality => {
+                    const entryWidth = 110 + measureCtx.measureText(personality.name).width;
+                    if (x > padding && x + entryWidth > canvasWidth - padding) {
+                        x = padding;
+                        y += 100;
+                    }
+                    entries.push({ personality, x, y });
+                    x += entryWidth + 120;
+                });
+                return { entries, bottom: y + 60 };
+            };
+
+            const drawLegendEntries = (ctx, entries) => {
+                entries.forEach(({ personality, x, y }) => {
+                    ctx.fillStyle = personality.color;
+                    ctx.beginPath();
+                    ctx.arc(x + 30, y - 20, 30, 0, 2 * Math.PI);
+                    ctx.fill();
+                    ctx.fillStyle = 'black';
+                    ctx.textAlign = 'left';
+                    ctx.font = 'bold 60px Arial';
+                    ctx.fillText(personality.name, x + 80, y);
+                });
+            };
 
-            // Draw strength bars for each bias type
-            biasTypes.forEach((biasType, typeIndex) => {
-                const y = startY + (typeIndex * (barHeight + 120));
+            const formatNet = (value) => value > 0 ? `+${value}` : `${value}`;
 
-                // Draw background rectangle for this bias group
-                strengthCtx.fillStyle = typeIndex % 2 === 0 ? '#f0f0f0' : '#d8d8d8';
-                strengthCtx.fillRect(centerLineX - (maxBarWidth/2), y - 20, maxBarWidth * 1.5, barHeight + 80);
+            // Diverging colors for net balance: red leans against, blue leans for
+            const netColor = (net) => {
+                const t = Math.max(-1, Math.min(1, net / MAX_SCORE));
+                const [r, g, b] = t >= 0 ? [33, 102, 172] : [178, 24, 43];
+                const mix = (channel) => Math.round(255 + (channel - 255) * Math.abs(t));
+                return `rgb(${mix(r)}, ${mix(g)}, ${mix(b)})`;
+            };
 
-                // Legend text
-                strengthCtx.font = 'bold 72px Arial';
-                strengthCtx.textAlign = 'right';
+            // =============================================
+            // Balance DIAGRAM: Bias Balance Comparison
+            // Bar chart showing bias balance comparison
+            // =============================================
+            const renderBalanceChart = () => {
+                // Size the canvas from the number of biases, personalities and label lines
+                const width = 6750;
+                const padding = 150;
+                const titleHeight = 300;
+                const labelWidth = 1500;
+                const labelLineHeight = 80;
+                const maxLabelLines = 3;
+                const barThickness = 30;
+                const barStep = 80;
+                const rowPadding = 40;
+                const scoreTextRoom = 160;
+
+                const measureCtx = createCanvas(1, 1).getContext('2d');
+                measureCtx.font = 'bold 72px Arial';
+                const labelLines = Object.fromEntries(biasIds.map(biasId =>
+                    [biasId, wrapText(measureCtx, biasLabels[biasId], labelWidth, maxLabelLines)]));
+
+                const rows = [];
+                let plotBottom = titleHeight;
+                biasIds.forEach(biasId => {
+                    const rowHeight = Math.max(
+                        labelLines[biasId].length * labelLineHeight,
+                        biasStrengths.length * barStep
+                    ) + rowPadding * 2;
+                    rows.push({ biasId, y: plotBottom, height: rowHeight });
+                    plotBottom += rowHeight;
+                });
+
+                // The explanation next to "Legend:" wraps onto more lines when error bars add to it;
+                // the personality entries start below its last line
+                const legendTop = plotBottom + 150;
+                const legendLineHeight = 80;
+                const maxLegendLines = 3;
+                measureCtx.font = 'bold 72px Arial';
+                const legendTextX = padding + measureCtx.measureText(localize('legend')).width + 40;
+                const balanceLegend = params.samples > 1
+                    ? `${localize('balanceLegend')}. ${localize('errorBarsLegend', {
+                        samples: params.samples,
+                        level: intervalLevel(params.aggregation, params.samples),
+                        statistic: localize(params.aggregation === 'median' ? 'statisticMedian' : 'statisticMean')
+                    })}`
+                    : localize('balanceLegend');
+                measureCtx.font = 'bold 60px Arial';
+                const balanceLegendLines = wrapText(measureCtx, balanceLegend, width - padding - legendTextX, maxLegendLines);
+                const legend = layoutLegend(measureCtx, legendTop + 120 + (balanceLegendLines.length - 1) * legendLineHeight, width, padding);
+                const height = legend.bottom + padding;
+
+                const plotLeft = padding + labelWidth + 100;
+                const plotRight = width - padding;
+                const centerLineX = (plotLeft + plotRight) / 2;
+                const scaleUnit = ((plotRight - plotLeft) / 2 - scoreTextRoom) / MAX_SCORE;
+
+                const strengthCanvas = createSurface(width, height);
+                const strengthCtx = strengthCanvas.getContext('2d');
+
+                // Set white background
+                strengthCtx.fillStyle = 'white';
+                strengthCtx.fillRect(0, 0, width, height);
+
+                // Draw title for strength comparison
+                strengthCtx.font = 'bold 81px Arial';
+                strengthCtx.textAlign = 'center';
                 strengthCtx.fillStyle = 'black';
-                strengthCtx.fillText(biasType, centerLineX - (maxBarWidth/2) + 1200, y + barHeight + 20);
-
-                // Draw bars for each personality
-                biasStrengths.forEach((personality, pIndex) => {
-                    const bias = personality.biases.find(b => b.type === biasType);
-                    if (bias) {
-                        const yOffset = pIndex * (barHeight + 20);
-
-                        // Calculate bar dimensions for against and for scores
-                        const againstWidth = bias.against_score * scaleUnit * 0.5;
-                        const forWidth = bias.for_score * scaleUnit * 0.5;
-
-                        strengthCtx.fillStyle = colors[pIndex];
-                        // Draw against score bar (left side)
-                        strengthCtx.fillRect(centerLineX - againstWidth, y + yOffset, againstWidth, barHeight/2);
-                        // Draw for score bar (right side)
-                        strengthCtx.fillRect(centerLineX, y + yOffset, forWidth, barHeight/2);
-
-                        // Add scores on both sides
-                        strengthCtx.fillStyle = 'black';
-
-                        // Against score on left side
-                        strengthCtx.textAlign = 'right';
-                        strengthCtx.font = 'bold 60px Arial';
-                        strengthCtx.fillText(`${bias.against_score}`,
-                            centerLineX - againstWidth - 10, // 10px left of bar
-                            y + yOffset + (barHeight/3));
-
-                        // For score on right side
-                        strengthCtx.textAlign = 'left';
-                        strengthCtx.fillText(`${bias.for_score}`,
-                            centerLineX + forWidth + 10, // 10px right of bar
-                            y + yOffset + (barHeight/3));
-                    }
+                strengthCtx.fillText(localize('balanceTitle'), width/2, 160);
+
+                // Draw strength bars for each bias type
+                rows.forEach((row, typeIndex) => {
+                    // Draw background rectangle for this bias group
+                    strengthCtx.fillStyle = typeIndex % 2 === 0 ? '#f0f0f0' : '#d8d8d8';
+                    strengthCtx.fillRect(padding, row.y, width - padding * 2, row.height);
+
+                    // Bias label, wrapped in its own column left of the plot
+                    const lines = labelLines[row.biasId];
+                    const labelTop = row.y + (row.height - lines.length * labelLineHeight) / 2;
+                    strengthCtx.font = 'bold 72px Arial';
+                    strengthCtx.textAlign = 'left';
+                    strengthCtx.fillStyle = 'black';
+                    lines.forEach((line, lineIndex) => {
+                        strengthCtx.fillText(line, padding + 40, labelTop + (lineIndex + 1) * labelLineHeight - 15);
+                    });
+
+                    // Draw bars for each personality, centered vertically in the row
+                    const barsTop = row.y + (row.height - biasStrengths.length * barStep) / 2;
+                    biasStrengths.forEach((personality, pIndex) => {
+                        const bias = personality.biases.find(b => b.id === row.biasId);
+                        if (bias) {
+                            const barY = barsTop + pIndex * barStep + (barStep - barThickness) / 2;
+
+                            // Calculate bar dimensions for against and for scores
+                            const againstWidth = bias.against_score * scaleUnit;
+                            const forWidth = bias.for_score * scaleUnit;
+
+                            strengthCtx.fillStyle = personality.color;
+                            // Draw against score bar (left side)
+                            strengthCtx.fillRect(centerLineX - againstWidth, barY, againstWidth, barThickness);
+                            // Draw for score bar (right side)
+                            strengthCtx.fillRect(centerLineX, barY, forWidth, barThickness);
+
+                            // Error bars over the confidence interval of sampled scores, mirrored on the against side
+                            const drawErrorBar = (from, to) => {
+                                const middle = barY + barThickness / 2;
+                                strengthCtx.strokeStyle = 'black';
+                                strengthCtx.lineWidth = 6;
+                                strengthCtx.beginPath();
+                                strengthCtx.moveTo(from, middle);
+                                strengthCtx.lineTo(to, middle);
+                                [from, to].forEach(x => {
+                                    strengthCtx.moveTo(x, middle - barThickness);
+                                    strengthCtx.lineTo(x, middle + barThickness);
+                                });
+                                strengthCtx.stroke();
+                            };
+                            let againstEnd = againstWidth;
+                            let forEnd = forWidth;
+                            if (bias.against_ci) {
+                                drawErrorBar(centerLineX - bias.against_ci[0] * scaleUnit, centerLineX - bias.against_ci[1] * scaleUnit);
+                                againstEnd = Math.max(againstEnd, bias.against_ci[1] * scaleUnit);
+                            }
+                            if (bias.for_ci) {
+                                drawErrorBar(centerLineX + bias.for_ci[0] * scaleUnit, centerLineX + bias.for_ci[1] * scaleUnit);
+                                forEnd = Math.max(forEnd, bias.for_ci[1] * scaleUnit);
+                            }
+
+                            // Add scores on both sides
+                            strengthCtx.fillStyle = 'black';
+
+                            // Against score on left side
+                            strengthCtx.textAlign = 'right';
+                            strengthCtx.font = 'bold 60px Arial';
+                            strengthCtx.fillText(`${bias.against_score}`,
+                                centerLineX - againstEnd - 10, // 10px left of bar
+                                barY + barThickness / 2 + 20);
+
+                            // For score on right side
+                            strengthCtx.textAlign = 'left';
+                            strengthCtx.fillText(`${bias.for_score}`,
+                                centerLineX + forEnd + 10, // 10px right of bar
+                                barY + barThickness / 2 + 20);
+                        }
+                    });
                 });
-            });
 
-            // Draw vertical center line
-            strengthCtx.beginPath();
-            strengthCtx.strokeStyle = '#000000'; // Solid black
-            strengthCtx.lineWidth = 8; // Increased from 4px (100%)
-            strengthCtx.moveTo(centerLineX, startY - 50);  // Start above first bar
-            strengthCtx.lineTo(centerLineX, startY + (biasTypes.length - 1) * (barHeight + 120) + barHeight + 100);  // Added 100 more pixels at bottom
-            strengthCtx.stroke();
-
-            // Add legend at the bottom with clear separation
-            const strengthLegendStartY = height - padding + 50; // Position legend below the diagram
-            strengthCtx.font = 'bold 72px Arial';
-            strengthCtx.textAlign = 'left';
-            strengthCtx.fillStyle = 'black';
-            strengthCtx.fillText('Legend:', padding, strengthLegendStartY);
-
-            // Add strength explanation to the right of "Legend:"
-            strengthCtx.font = 'bold 60px Arial';
-            const legendTextX = padding + 300;
-            strengthCtx.fillText('Values shown as: Balance (Against score, For score)', legendTextX, strengthLegendStartY);
-
-            // Add personality colors next to the legend explanation
-            biasStrengths.forEach((personality, index) => {
-                const xPos = legendTextX + 1800 + (index * 600); // Increased from 1200 to 1800 and spacing from 400 to 600
-                strengthCtx.fillStyle = colors[index];
+                // Draw vertical center line
                 strengthCtx.beginPath();
-                strengthCtx.arc(xPos, strengthLegendStartY - 20, 30, 0, 2 * Math.PI);
-                strengthCtx.fill();
-                strengthCtx.fillStyle = 'black';
+                strengthCtx.strokeStyle = '#000000'; // Solid black
+                strengthCtx.lineWidth = 8;
+                strengthCtx.moveTo(centerLineX, titleHeight - 50);
+                strengthCtx.lineTo(centerLineX, plotBottom + 50);
+                strengthCtx.stroke();
+
+                // Add legend below the plot with clear separation
+                strengthCtx.font = 'bold 72px Arial';
                 strengthCtx.textAlign = 'left';
+                strengthCtx.fillStyle = 'black';
+                strengthCtx.fillText(localize('legend'), padding, legendTop);
+
+                // Add strength explanation to the right of "Legend:"
                 strengthCtx.font = 'bold 60px Arial';
-                strengthCtx.fillText(personality.name, xPos + 50, strengthLegendStartY);
-            });
+                balanceLegendLines.forEach((line, index) => {
+                    strengthCtx.fillText(line, legendTextX, legendTop + index * legendLineHeight);
+                });
 
-            // Convert canvas to buffer
-            const buffer = strengthCanvas.toBuffer('image/png');
+                // Add personality colors on the lines below the legend explanation
+                drawLegendEntries(strengthCtx, legend.entries);
 
-            // Upload image
-            const imageId = await spaceModule.putImage(buffer);
+                return strengthCanvas;
+            };
 
-            // Create and save the document
-            this.logProgress("Creating document object...");
-            const documentObj = {
-                title: `bias_explained_${new Date().toISOString()}`,
-                type: 'bias_explained',
-                content: JSON.stringify({
-                    allPersonalityExplanations
-                }, null, 2),
-                abstract: JSON.stringify({
-                    type: "bias_explained",
-                    sourceDocumentId: this.parameters.sourceDocumentId,
-                    personalities: personalities.map(p => p.name),
-                    timestamp: new Date().toISOString()
-                }, null, 2),
-                metadata: {
-                    id: null,
-                    title: `bias_explained_${new Date().toISOString()}`
+            // =============================================
+            // RADAR DIAGRAM: net balance of each personality across biases
+            // =============================================
+            const renderRadarChart = () => {
+                const width = 4200;
+                const padding = 150;
+                const titleHeight = 300;
+                const radius = 1300;
+                const labelRoom = 450;
+                const labelWidth = 800;
+                const centerX = width / 2;
+                const centerY = titleHeight + labelRoom + radius;
+
+                const measureCtx = createCanvas(1, 1).getContext('2d');
+                const legend = layoutLegend(measureCtx, centerY + radius + labelRoom + 100, width, padding);
+                const height = legend.bottom + padding;
+
+                const canvas = createSurface(width, height);
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = 'white';
+                ctx.fillRect(0, 0, width, height);
+
+                ctx.font = 'bold 81px Arial';
+                ctx.textAlign = 'center';
+                ctx.fillStyle = 'black';
+                ctx.fillText(localize('radarTitle'), width / 2, 160);
+
+                const angleFor = (index) => -Math.PI / 2 + index * 2 * Math.PI / biasIds.length;
+                const radiusFor = (net) => (net + MAX_SCORE) / (2 * MAX_SCORE) * radius;
+                const pointFor = (index, net) => ({
+                    x: centerX + Math.cos(angleFor(index)) * radiusFor(net),
+                    y: centerY + Math.sin(angleFor(index)) * radiusFor(net)
+                });
+
+                // Grid rings; the zero ring separates leaning against (inside) from leaning for (outside)
+                [-MAX_SCORE, -MAX_SCORE / 2, 0, MAX_SCORE / 2, MAX_SCORE].forEach(level => {
+                    ctx.beginPath();
+                    biasIds.forEach((biasId, index) => {
+                        const point = pointFor(index, level);
+                        if (index === 0) {
+                            ctx.moveTo(point.x, point.y);
+                        } else {
+                            ctx.lineTo(point.x, point.y);
+                        }
+                    });
+                    ctx.closePath();
+                    ctx.strokeStyle = level === 0 ? '#606060' : '#c8c8c8';
+                    ctx.lineWidth = level === 0 ? 6 : 3;
+                    ctx.stroke();
+
+                    ctx.font = 'bold 48px Arial';
+                    ctx.textAlign = 'left';
+                    ctx.fillStyle = '#606060';
+                    ctx.fillText(formatNet(level), centerX + 15, centerY - radiusFor(level) - 10);
+                });
+
+                // Axes with wrapped bias labels just outside the outer ring
+                biasIds.forEach((biasId, index) => {
+                    const outer = pointFor(index, MAX_SCORE);
+                    ctx.beginPath();
+                    ctx.strokeStyle = '#c8c8c8';
+                    ctx.lineWidth = 3;
+                    ctx.moveTo(centerX, centerY);
+                    ctx.lineTo(outer.x, outer.y);
+                    ctx.stroke();
+
+                    const cos = Math.cos(angleFor(index));
+                    const sin = Math.sin(angleFor(index));
+                    ctx.font = 'bold 60px Arial';
+                    ctx.textAlign = cos > 0.2 ? 'left' : cos < -0.2 ? 'right' : 'center';
+                    ctx.fillStyle = 'black';
+                    const lines = wrapText(ctx, biasLabels[biasId], labelWidth, 2);
+                    const labelX = centerX + cos * (radius + 60);
+                    const labelY = centerY + sin * (radius + 60) + (sin > 0.2 ? 60 : sin < -0.2 ? -60 * lines.length + 40 : 20);
+                    lines.forEach((line, lineIndex) => ctx.fillText(line, labelX, labelY + lineIndex * 70));
+                });
+
+                // One translucent polygon per personality
+                biasStrengths.forEach(personality => {
+                    const points = biasIds.map((biasId, index) => {
+                        const bias = personality.biases.find(b => b.id === biasId);
+                        return pointFor(index, bias ? bias.net : 0);
+                    });
+                    ctx.beginPath();
+                    points.forEach((point, index) => index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+                    ctx.closePath();
+                    ctx.globalAlpha = 0.15;
+                    ctx.fillStyle = personality.color;
+                    ctx.fill();
+                    ctx.globalAlpha = 1;
+                    ctx.strokeStyle = personality.color;
+                    ctx.lineWidth = 8;
+                    ctx.stroke();
+                    points.forEach(point => {
+                        ctx.beginPath();
+                        ctx.arc(point.x, point.y, 16, 0, 2 * Math.PI);
+                        ctx.fill();
+                    });
+                });
+
+                drawLegendEntries(ctx, legend.entries);
+                return canvas;
+            };
+
+            // =============================================
+            // HEATMAP: personalities by biases, colored by net balance
+            // =============================================
+            const renderHeatmapChart = () => {
+                const padding = 150;
+                const titleHeight = 300;
+                const rowLabelWidth = 1000;
+                const cellWidth = 450;
+                const cellHeight = 180;
+                const columnLabelLineHeight = 60;
+                const maxColumnLabelLines = 3;
+                const scaleWidth = 1600;
+
+                const measureCtx = createCanvas(1, 1).getContext('2d');
+                measureCtx.font = 'bold 50px Arial';
+                const columnLabels = biasIds.map(biasId => wrapText(measureCtx, biasLabels[biasId], cellWidth - 30, maxColumnLabelLines));
+                measureCtx.font = 'bold 60px Arial';
+                const rowLabels = biasStrengths.map(personality => wrapText(measureCtx, personality.name, rowLabelWidth - 60, 1)[0]);
+
+                const gridLeft = padding + rowLabelWidth;
+                const gridTop = titleHeight + maxColumnLabelLines * columnLabelLineHeight + 40;
+                const gridBottom = gridTop + biasStrengths.length * cellHeight;
+                const width = Math.max(gridLeft + biasIds.length * cellWidth + padding, scaleWidth + padding * 2 + 800);
+                const height = gridBottom + 250 + padding;
+
+                const canvas = createSurface(width, height);
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = 'white';
+                ctx.fillRect(0, 0, width, height);
+
+                ctx.font = 'bold 81px Arial';
+                ctx.textAlign = 'center';
+                ctx.fillStyle = 'black';
+                ctx.fillText(localize('heatmapTitle'), width / 2, 160);
+
+                // Column headers, bottom-aligned above the grid
+                ctx.font = 'bold 50px Arial';
+                columnLabels.forEach((lines, column) => {
+                    const x = gridLeft + column * cellWidth + cellWidth / 2;
+                    lines.forEach((line, lineIndex) => {
+                        ctx.fillText(line, x, gridTop - 45 - (lines.length - 1 - lineIndex) * columnLabelLineHeight);
+                    });
+                });
+
+                biasStrengths.forEach((personality, row) => {
+                    const y = gridTop + row * cellHeight;
+                    ctx.font = 'bold 60px Arial';
+                    ctx.textAlign = 'left';
+                    ctx.fillStyle = 'black';
+                    ctx.fillText(rowLabels[row], padding, y + cellHeight / 2 + 20);
+
+                    biasIds.forEach((biasId, column) => {
+                        const bias = personality.biases.find(b => b.id === biasId);
+                        const x = gridLeft + column * cellWidth;
+                        ctx.fillStyle = bias ? netColor(bias.net) : '#f0f0f0';
+                        ctx.fillRect(x, y, cellWidth, cellHeight);
+                        ctx.strokeStyle = 'white';
+                        ctx.lineWidth = 4;
+                        ctx.strokeRect(x, y, cellWidth, cellHeight);
+                        if (bias) {
+                            ctx.font = 'bold 60px Arial';
+                            ctx.textAlign = 'center';
+                            ctx.fillStyle = Math.abs(bias.net) > MAX_SCORE * 0.6 ? 'white' : 'black';
+                            ctx.fillText(formatNet(bias.net), x + cellWidth / 2, y + cellHeight / 2 + 20);
+                        }
+                    });
+                });
+
+                // Color scale below the grid
+                const scaleTop = gridBottom + 120;
+                const scaleLeft = padding + 400;
+                const steps = 40;
+                for (let step = 0; step < steps; step++) {
+                    const net = -MAX_SCORE + (2 * MAX_SCORE) * (step + 0.5) / steps;
+                    ctx.fillStyle = netColor(net);
+                    ctx.fillRect(scaleLeft + step * scaleWidth / steps, scaleTop, scaleWidth / steps + 1, 80);
                 }
+                ctx.font = 'bold 50px Arial';
+                ctx.fillStyle = 'black';
+                ctx.textAlign = 'right';
+                ctx.fillText(localize('heatmapAgainst', { value: -MAX_SCORE }), scaleLeft - 20, scaleTop + 60);
+                ctx.textAlign = 'left';
+                ctx.fillText(localize('heatmapFor', { value: formatNet(MAX_SCORE) }), scaleLeft + scaleWidth + 20, scaleTop + 60);
+
+                return canvas;
+            };
+
+            // =============================================
+            // NET BALANCE DIAGRAM: mean net balance per bias, sorted
+            // =============================================
+            const renderNetBalanceChart = () => {
+                const width = 5000;
+                const padding = 150;
+                const titleHeight = 300;
+                const labelWidth = 1500;
+                const labelLineHeight = 80;
+                const barThickness = 70;
+                const rowHeight = 200;
+                const valueTextRoom = 200;
+
+                const sorted = [...agreement.biases].sort((a, b) => b.mean_net - a.mean_net);
+                const measureCtx = createCanvas(1, 1).getContext('2d');
+                measureCtx.font = 'bold 66px Arial';
+                const labelLines = sorted.map(bias => wrapText(measureCtx, bias.bias_type, labelWidth, 2));
+
+                const plotTop = titleHeight;
+                const plotBottom = plotTop + sorted.length * rowHeight;
+                const height = plotBottom + 250 + padding;
+                const plotLeft = padding + labelWidth + 100;
+                const plotRight = width - padding;
+                const centerX = (plotLeft + plotRight) / 2;
+                const scaleUnit = ((plotRight - plotLeft) / 2 - valueTextRoom) / MAX_SCORE;
+
+                const canvas = createSurface(width, height);
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = 'white';
+                ctx.fillRect(0, 0, width, height);
+
+                ctx.font = 'bold 81px Arial';
+                ctx.textAlign = 'center';
+                ctx.fillStyle = 'black';
+                ctx.fillText(localize('netBalanceTitle'), width / 2, 160);
+
+                sorted.forEach((bias, index) => {
+                    const y = plotTop + index * rowHeight;
+                    ctx.fillStyle = index % 2 === 0 ? '#f0f0f0' : '#d8d8d8';
+                    ctx.fillRect(padding, y, width - padding * 2, rowHeight);
+
+                    ctx.font = 'bold 66px Arial';
+                    ctx.textAlign = 'left';
+                    ctx.fillStyle = 'black';
+                    const lines = labelLines[index];
+                    const labelTop = y + (rowHeight - lines.length * labelLineHeight) / 2;
+                    lines.forEach((line, lineIndex) => ctx.fillText(line, padding + 40, labelTop + (lineIndex + 1) * labelLineHeight - 15));
+
+                    const barWidth = Math.abs(bias.mean_net) * scaleUnit;
+                    const barX = bias.mean_net >= 0 ? centerX : centerX - barWidth;
+                    const barY = y + (rowHeight - barThickness) / 2;
+                    ctx.fillStyle = netColor(bias.mean_net >= 0 ? MAX_SCORE : -MAX_SCORE);
+                    ctx.fillRect(barX, barY, barWidth, barThickness);
+
+                    ctx.font = 'bold 60px Arial';
+                    ctx.fillStyle = 'black';
+                    ctx.textAlign = bias.mean_net >= 0 ? 'left' : 'right';
+                    ctx.fillText(formatNet(bias.mean_net),
+                        bias.mean_net >= 0 ? centerX + barWidth + 15 : centerX - barWidth - 15,
+                        barY + barThickness / 2 + 20);
+                });
+
+                ctx.beginPath();
+                ctx.strokeStyle = '#000000';
+                ctx.lineWidth = 8;
+                ctx.moveTo(centerX, plotTop - 50);
+                ctx.lineTo(centerX, plotBottom + 50);
+                ctx.stroke();
+
+                ctx.font = 'bold 60px Arial';
+                ctx.textAlign = 'left';
+                ctx.fillStyle = 'black';
+                ctx.fillText(localize('netBalanceNote', { count: biasStrengths.length }), padding, plotBottom + 170);
+
+                return canvas;
+            };
+
+            const chartRenderers = {
+                balance: { render: renderBalanceChart, caption: localize('balanceCaption') },
+                radar: { render: renderRadarChart, caption: localize('radarCaption') },
+                heatmap: { render: renderHeatmapChart, caption: localize('heatmapCaption') },
+                net_balance: { render: renderNetBalanceChart, caption: localize('netBalanceCaption') }
             };
 
-            const documentId = await documentModule.addDocument(this.spaceId, documentObj);
+            // The charts uploaded by this run, the summary chapters and the final content form one unit:
+            // if any step fails they are removed, and a later run renders and adds them again
+            const summaryRollback = createRollback(documentModule, spaceModule, this.spaceId);
+            const uploadedCharts = [];
+            rollbackSummary = async () => {
+                const outcome = await summaryRollback.rollback();
+                uploadedCharts.forEach(chartType => delete checkpoint.imageIds[chartType]);
+                checkpoint.summaryChapterIds = [];
+                return outcome;
+            };
+
+            // Render and upload each selected chart once, unless the task was cancelled while rendering
+            const charts = [];
+            for (const chartType of chartTypes) {
+                throwIfCancelled();
+                if (chartType === 'radar' && biasIds.length < 3) {
+                    this.logWarning("Skipping radar chart: it needs at least 3 biases");
+                    continue;
+                }
+                if (!checkpoint.imageIds[chartType]) {
+                    this.logProgress(`Rendering ${chartType} chart...`);
+                    const buffer = toImageBuffer(chartRenderers[chartType].render());
+                    throwIfCancelled();
+                    checkpoint.imageIds[chartType] = await summaryRollback.putImage(buffer);
+                    uploadedCharts.push(chartType);
+                }
+                charts.push({ type: chartType, caption: chartRenderers[chartType].caption, imageId: checkpoint.imageIds[chartType] });
+            }
+            checkpoint.stage = 'saving';
+            progress.stage = 'saving';
+
+            // =============================================
+            // SUMMARY CHAPTERS: charts, data table and agreement, added once scoring is done
+            // A resumed run replaces the summary chapters it wrote before
+            // =============================================
+            throwIfCancelled();
+            this.logProgress("Adding summary chapters...");
+            for (const chapterId of checkpoint.summaryChapterIds || []) {
+                await documentModule.deleteChapter(this.spaceId, documentId, chapterId);
+            }
+            checkpoint.summaryChapterIds = [];
 
             // Add visualization chapter
             const visualChapter = {
-                title: "Bias Score Distribution",
-                idea: "Visual representation of bias scores across personalities"
+                title: localize('distributionTitle'),
+                idea: localize('distributionIdea')
             };
-            const visualChapterId = await documentModule.addChapter(this.spaceId, documentId, visualChapter);
+            const visualChapterId = await summaryRollback.addChapter(documentId, visualChapter);
+            checkpoint.summaryChapterIds.push(visualChapterId);
+
+            for (const chart of charts) {
+                await documentModule.addParagraph(this.spaceId, documentId, visualChapterId, {
+                    text: chart.caption,
+                    commands: {
+                        image: {
+                            id: chart.imageId
+                        }
+                    }
+                });
+            }
 
+            // Companion Markdown table with the data behind the charts, usable without the images
+            const tableCell = (value) => String(value).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+            const tableRows = biasStrengths.flatMap(personality => personality.biases.map(bias =>
+                `| ${tableCell(personality.name)} | ${tableCell(bias.type)} | ${bias.for_score} | ${bias.against_score} | ${formatNet(bias.net)} |`));
             await documentModule.addParagraph(this.spaceId, documentId, visualChapterId, {
-                text: "Comparison of total bias strength:",
-                commands: {
-                    image: {
-                        id: imageId
-                    }
-                }
+                text: [
+                    localize('tableIntro'),
+                    "",
+                    `| ${['columnPersonality', 'columnBias', 'columnFor', 'columnAgainst', 'columnNet'].map(key => tableCell(localize(key))).join(' | ')} |`,
+                    "| --- | --- | ---: | ---: | ---: |",
+                    ...tableRows
+                ].join('\n'),
+                commands: {}
             });
 
-            // Add chapters for each bias and personality
-            for (const personalityExplanation of allPersonalityExplanations) {
-                for (const bias of personalityExplanation.scored_biases) {
-                    const chapterData = {
-                        title: `${bias.bias_type} - ${personalityExplanation.personality} (Against: ${bias.against_score}, For: ${bias.for_score})`,
-                        idea: `Analysis of ${bias.bias_type} by ${personalityExplanation.personality}`
-                    };
+            // Add consensus chapter with the agreement statistics
+            const consensusChapterId = await summaryRollback.addChapter(documentId, {
+                title: localize('consensusTitle'),
+                idea: localize('consensusIdea')
+            });
+            checkpoint.summaryChapterIds.push(consensusChapterId);
+
+            await documentModule.addParagraph(this.spaceId, documentId, consensusChapterId, {
+                text: localize('alphaSummary', {
+                    personalities: agreement.personalities,
+                    biases: biasAgreement.length,
+                    alpha: agreement.alpha === null ? localize('notAvailable') : agreement.alpha,
+                    interpretation: agreement.interpretation
+                }),
+                commands: {}
+            });
 
-                    const chapterId = await documentModule.addChapter(this.spaceId, documentId, chapterData);
-                    await documentModule.addParagraph(this.spaceId, documentId, chapterId, {
-                        text: bias.detailed_explanation,
-                        commands: {}
-                    });
-                }
+            if (agreement.most_contested.length) {
+                await documentModule.addParagraph(this.spaceId, documentId, consensusChapterId, {
+                    text: localize('mostContested', { biases: agreement.most_contested.map(id => biasLabels[id]).join(', ') }),
+                    commands: {}
+                });
+            }
+
+            for (const bias of biasAgreement) {
+                const net = bias.mean_net > 0 ? `+${bias.mean_net}` : `${bias.mean_net}`;
+                await documentModule.addParagraph(this.spaceId, documentId, consensusChapterId, {
+                    text: localize('biasAgreementLine', {
+                        bias: bias.bias_type,
+                        meanFor: bias.mean_for,
+                        meanAgainst: bias.mean_against,
+                        net,
+                        min: bias.min_net,
+                        max: bias.max_net,
+                        spread: bias.spread
+                    }) + (bias.contested ? ` - ${localize('contested')}` : ''),
+                    commands: {}
+                });
             }
 
+            // Final content and status: complete, or partial when some personalities could not be scored
+            const documentStatus = failedPersonalities.length ? 'partial' : 'complete';
+            await updateExplanationDocument({
+                content: JSON.stringify({
+                    allPersonalityExplanations,
+                    agreement
+                }, null, 2),
+                abstract: buildAbstract(documentStatus, { charts: charts.map(chart => chart.type) })
+            });
+            summaryRollback.commit();
+            rollbackSummary = null;
+
+            checkpoint.stage = 'completed';
+            Object.assign(progress, { stage: 'completed', finishedAt: Date.now() });
+
+            if (failedPersonalities.length) {
+                this.logWarning(`Document saved without ${failedPersonalities.length} personality(ies) that could not be scored: ${failedPersonalities.map(failed => failed.name).join(', ')}`);
+            }
             this.logProgress("Task completed successfully!");
             return {
                 status: 'completed',
-                documentId: documentId
+                documentId: documentId,
+                documentStatus,
+                failedPersonalities
             };
 
         } catch (error) {
+            Object.assign(progress, {
+                stage: error.cancelled ? 'cancelled' : 'failed',
+                finishedAt: Date.now(),
+                lastError: error.cancelled ? progress.lastError : { message: error.message, at: new Date().toISOString() }
+            });
+            if (rollbackSummary) {
+                const { errors } = await rollbackSummary();
+                if (errors.length) {
+                    this.logWarning(`Could not remove ${errors.length} chart(s) or summary chapter(s) of document ${progress.documentId}`, { errors });
+                }
+            }
+            if (markDocument) {
+                try {
+                    await markDocument(error.cancelled ? 'cancelled' : 'failed', error.cancelled ? {} : { error: error.message });
+                } catch (markError) {
+                    this.logWarning(`Could not record the final status on document ${progress.documentId}: ${markError.message}`);
+                }
+            }
+            if (error.cancelled) {
+                this.logWarning(progress.documentId
+                    ? `Bias explanation cancelled; document ${progress.documentId} keeps the personalities written so far`
+                    : "Bias explanation cancelled before a document was written");
+                return {
+                    status: 'cancelled'
+                };
+            }
             this.logError(`Error in bias explanation: ${error.message}`);
             throw error;
         }
     },
 
     cancelTask: async function () {
+        this.cancelled = true;
+        if (this.abortController) {
+            this.abortController.abort();
+        }
         this.logWarning("Task cancelled by user");
     },
 
     serialize: async function () {
         return {
             taskType: 'ExplainedAnalysis',
-            parameters: this.parameters
+            parameters: this.parameters,
+            // Completed per-personality results and the current stage, restored onto the task as this.checkpoint
+            checkpoint: this.checkpoint || null
         };
     },
 
     getRelevantInfo: async function () {
+        const progress = this.progress;
+        if (!progress) {
+            return {
+                taskType: 'ExplainedAnalysis',
+                parameters: this.parameters,
+                progress: null
+            };
+        }
+        // Remaining time is extrapolated from the personalities scored so far in this run; other stages give no estimate
+        const now = progress.finishedAt || Date.now();
+        let estimatedRemainingMs = null;
+        if (progress.finishedAt) {
+            estimatedRemainingMs = 0;
+        } else if (progress.stage === 'scoring' && progress.scoredThisRun > 0) {
+            const remaining = progress.personalitiesTotal - progress.personalitiesCompleted;
+            estimatedRemainingMs = Math.round((now - progress.scoringStartedAt) / progress.scoredThisRun * remaining);
+        }
         return {
             taskType: 'ExplainedAnalysis',
-            parameters: this.parameters
+            parameters: this.parameters,
+            progress: {
+                stage: progress.stage,
+                personalitiesCompleted: progress.personalitiesCompleted,
+                personalitiesTotal: progress.personalitiesTotal,
+                personalitiesFailed: progress.personalitiesFailed,
+                currentAttempts: Object.values(progress.currentAttempts),
+                lastError: progress.lastError,
+                elapsedMs: now - progress.startedAt,
+                estimatedRemainingMs,
+                documentId: progress.documentId
+            }
         };
     }
 }; 
\ No newline at end of file
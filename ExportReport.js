@@ -0,0 +1,304 @@
+module.exports = {
+    // Declared parameters, checked before the task starts and exposed so UIs can render a form from them
+    parameterSchema: {
+        sourceDocumentId: { type: 'string', required: true, description: 'ID of the bias_analysis or bias_explained document to export' },
+        formats: { type: 'list', enum: ['html', 'markdown', 'csv', 'json'], minItems: 1, default: ['html', 'markdown', 'csv', 'json'], description: 'Export formats, as an array, a JSON array string or a comma-separated string' }
+    },
+
+    runTask: async function () {
+        // Export documents written so far, reported as well when the export is cancelled partway
+        const exports = [];
+        try {
+            // Check every parameter against the declared schema before any module is loaded
+            const { validateParameters } = require('./ParameterSchema.js');
+            const params = validateParameters(module.exports.parameterSchema, this.parameters);
+            const formats = params.formats;
+
+            // Cooperative cancellation: cancelTask aborts the controller and every pending wait rejects
+            const { createCancellation } = require('./Cancellation.js');
+            this.abortController = new AbortController();
+            if (this.cancelled) {
+                this.abortController.abort();
+            }
+            const { throwIfCancelled, withCancellation } = createCancellation(this.abortController.signal);
+
+            // Version of the exported JSON layout; bump it whenever a field is renamed or removed
+            const EXPORT_FORMAT_VERSION = 1;
+            const FORMATS = {
+                html: { extension: 'html', mimeType: 'text/html' },
+                markdown: { extension: 'md', mimeType: 'text/markdown' },
+                csv: { extension: 'csv', mimeType: 'text/csv' },
+                json: { extension: 'json', mimeType: 'application/json' }
+            };
+
+            this.logInfo("Initializing bias report export task...");
+            const documentModule = await this.loadModule("document");
+            const spaceModule = await this.loadModule("space");
+
+            // Load the report to export
+            this.logProgress("Loading source document...");
+            const sourceDoc = await documentModule.getDocument(this.spaceId, params.sourceDocumentId);
+            if (!sourceDoc) {
+                throw new Error('Source document not found');
+            }
+            let content;
+            let abstract;
+            try {
+                content = JSON.parse(sourceDoc.content);
+                abstract = sourceDoc.abstract ? JSON.parse(sourceDoc.abstract) : {};
+            } catch (error) {
+                throw new Error(`Source document content is not JSON: ${error.message}`);
+            }
+
+            let reportType;
+            if (content && Array.isArray(content.allPersonalityExplanations)) {
+                reportType = 'bias_explained';
+            } else if (content && Array.isArray(content.biases)) {
+                reportType = 'bias_analysis';
+            } else {
+                throw new Error('Only bias_analysis and bias_explained documents can be exported');
+            }
+
+            // Build one format-independent report; every export format is rendered from it
+            const report = {
+                format: 'bias-report',
+                version: EXPORT_FORMAT_VERSION,
+                exportedAt: new Date().toISOString(),
+                source: {
+                    documentId: params.sourceDocumentId,
+                    type: reportType,
+                    title: sourceDoc.title,
+                    createdAt: abstract.timestamp || null
+                }
+            };
+            if (reportType === 'bias_analysis') {
+                report.analysis = {
+                    personality: abstract.personality || null,
+                    biases: content.biases.map(bias => ({
+                        bias_id: bias.bias_id,
+                        bias_label: bias.bias_label || bias.bias_type,
+                        explanation: bias.explanation,
+                        in_taxonomy: !bias.unknown,
+                        evidence: (bias.evidence || []).map(evidence => ({ quote: evidence.quote, start: evidence.start, end: evidence.end }))
+                    }))
+                };
+            } else {
+                report.explanation = {
+                    analysisDocumentId: abstract.sourceDocumentId || null,
+                    personalities: content.allPersonalityExplanations.map(personality => ({
+                        name: personality.personality,
+                        scores: personality.scored_biases.map(bias => ({
+                            bias_id: bias.bias_id,
+                            bias_label: bias.bias_type,
+                            for_score: bias.for_score,
+                            against_score: bias.against_score,
+                            explanation: bias.detailed_explanation
+                        }))
+                    })),
+                    agreement: content.agreement || null
+                };
+            }
+
+            // Charts are the image paragraphs of the source document
+            const charts = (sourceDoc.chapters || [])
+                .flatMap(chapter => chapter.paragraphs || [])
+                .filter(paragraph => paragraph.commands && paragraph.commands.image && paragraph.commands.image.id)
+                .map(paragraph => ({ caption: paragraph.text, imageId: paragraph.commands.image.id }));
+            report.charts = charts;
+
+            // Rows of the CSV export; analysis documents have no scores, only the analyzing personality
+            const rows = reportType === 'bias_analysis'
+                ? report.analysis.biases.map(bias => ({
+                    personality: report.analysis.personality || '',
+                    bias_id: bias.bias_id,
+                    bias_label: bias.bias_label,
+                    for_score: '',
+                    against_score: '',
+                    explanation: bias.explanation
+                }))
+                : report.explanation.personalities.flatMap(personality => personality.scores.map(score => ({
+                    personality: personality.name,
+                    ...score
+                })));
+
+            const csvCell = (value) => {
+                const text = value === null || value === undefined ? '' : String(value);
+                return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const toCsv = () => {
+                const columns = ['personality', 'bias_id', 'bias_label', 'for_score', 'against_score', 'explanation'];
+                return [columns.join(','), ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))].join('\r\n') + '\r\n';
+            };
+
+            const markdownCell = (value) => String(value).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+            const toMarkdown = () => {
+                const lines = [`# Bias report: ${sourceDoc.title}`, '', `Source document: ${report.source.documentId} (${reportType})`, ''];
+                if (reportType === 'bias_analysis') {
+                    if (report.analysis.personality) {
+                        lines.push(`Analyzed by: ${report.analysis.personality}`, '');
+                    }
+                    report.analysis.biases.forEach(bias => {
+                        lines.push(`## ${bias.bias_label}${bias.in_taxonomy ? '' : ' (not in the bias taxonomy)'}`, '', bias.explanation, '');
+                        bias.evidence.forEach(evidence => lines.push(`> ${evidence.quote}`, ''));
+                    });
+                } else {
+                    const agreement = report.explanation.agreement;
+                    if (agreement) {
+                        lines.push(`Krippendorff's alpha on net balance: ${agreement.alpha === null ? 'n/a' : agreement.alpha} (${agreement.interpretation})`, '');
+                    }
+                    lines.push('| Personality | Bias | For | Against |', '| --- | --- | ---: | ---: |');
+                    rows.forEach(row => lines.push(`| ${markdownCell(row.personality)} | ${markdownCell(row.bias_label)} | ${row.for_score} | ${row.against_score} |`));
+                    lines.push('');
+                    report.explanation.personalities.forEach(personality => {
+                        lines.push(`## ${personality.name}`, '');
+                        personality.scores.forEach(score => {
+                            lines.push(`### ${score.bias_label} (Against: ${score.against_score}, For: ${score.for_score})`, '', score.explanation, '');
+                        });
+                    });
+                }
+                return lines.join('\n');
+            };
+
+            // Standalone HTML: charts are inlined as data URIs so the file opens without the space
+            const escapeHtml = (value) => String(value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+            const loadChartImages = async () => {
+                const images = [];
+                for (const chart of charts) {
+                    try {
+                        const data = Buffer.from(await withCancellation(spaceModule.getImage(chart.imageId)));
+                        const isSvg = /^\s*(<\?xml|<svg)/.test(data.subarray(0, 100).toString());
+                        images.push({ ...chart, src: `data:${isSvg ? 'image/svg+xml' : 'image/png'};base64,${data.toString('base64')}` });
+                    } catch (error) {
+                        if (error.cancelled) {
+                            throw error;
+                        }
+                        this.logWarning(`Could not load chart image ${chart.imageId}, leaving it out of the HTML report: ${error.message}`);
+                    }
+                }
+                return images;
+            };
+            const toHtml = async () => {
+                const body = [`<h1>Bias report: ${escapeHtml(sourceDoc.title)}</h1>`, `<p>Source document: ${escapeHtml(report.source.documentId)} (${reportType})</p>`];
+                (await loadChartImages()).forEach(image => {
+                    body.push(`<figure><img src="${image.src}" alt="${escapeHtml(image.caption)}"><figcaption>${escapeHtml(image.caption)}</figcaption></figure>`);
+                });
+                if (reportType === 'bias_analysis') {
+                    report.analysis.biases.forEach(bias => {
+                        body.push(`<h2>${escapeHtml(bias.bias_label)}</h2>`, `<p>${escapeHtml(bias.explanation)}</p>`);
+                        bias.evidence.forEach(evidence => body.push(`<blockquote>${escapeHtml(evidence.quote)}</blockquote>`));
+                    });
+                } else {
+                    const agreement = report.explanation.agreement;
+                    if (agreement) {
+                        body.push(`<p>Krippendorff's alpha on net balance: ${agreement.alpha === null ? 'n/a' : agreement.alpha} (${escapeHtml(agreement.interpretation)})</p>`);
+                    }
+                    body.push('<table>', '<tr><th>Personality</th><th>Bias</th><th>For</th><th>Against</th></tr>');
+                    rows.forEach(row => body.push(`<tr><td>${escapeHtml(row.personality)}</td><td>${escapeHtml(row.bias_label)}</td><td>${row.for_score}</td><td>${row.against_score}</td></tr>`));
+                    body.push('</table>');
+                    report.explanation.personalities.forEach(personality => {
+                        body.push(`<h2>${escapeHtml(personality.name)}</h2>`);
+                        personality.scores.forEach(score => {
+                            body.push(`<h3>${escapeHtml(score.bias_label)} (Against: ${score.against_score}, For: ${score.for_score})</h3>`, `<p>${escapeHtml(score.explanation)}</p>`);
+                        });
+                    });
+                }
+                return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Bias report: ${escapeHtml(sourceDoc.title)}</title>
+<style>
+body { font-family: Arial, sans-serif; max-width: 960px; margin: 2em auto; line-height: 1.5; }
+img { max-width: 100%; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+blockquote { border-left: 4px solid #ccc; margin-left: 0; padding-left: 1em; color: #555; }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+            };
+
+            const renderers = {
+                html: toHtml,
+                markdown: toMarkdown,
+                csv: toCsv,
+                json: () => JSON.stringify(report, null, 2)
+            };
+
+            // Store each export back into the space as its own document
+            const baseName = String(sourceDoc.title || params.sourceDocumentId).replace(/[^\w.-]+/g, '_');
+            for (const format of formats) {
+                throwIfCancelled();
+                this.logProgress(`Exporting ${format}...`);
+                const output = await renderers[format]();
+                const fileName = `${baseName}.${FORMATS[format].extension}`;
+                const documentId = await documentModule.addDocument(this.spaceId, {
+                    title: `bias_export_${fileName}`,
+                    type: 'bias_export',
+                    content: output,
+                    abstract: JSON.stringify({
+                        type: "bias_export",
+                        format: format,
+                        fileName: fileName,
+                        mimeType: FORMATS[format].mimeType,
+                        sourceDocumentId: params.sourceDocumentId,
+                        exportFormatVersion: EXPORT_FORMAT_VERSION,
+                        timestamp: new Date().toISOString()
+                    }, null, 2),
+                    metadata: {
+                        id: null,
+                        title: `bias_export_${fileName}`
+                    }
+                });
+                exports.push({ format, fileName, mimeType: FORMATS[format].mimeType, documentId });
+            }
+
+            this.logSuccess(`Exported ${exports.length} format(s): ${exports.map(item => item.fileName).join(', ')}`);
+            return {
+                status: 'completed',
+                exports
+            };
+
+        } catch (error) {
+            if (error.cancelled) {
+                this.logWarning(`Bias report export cancelled after ${exports.length} format(s)`);
+                return {
+                    status: 'cancelled',
+                    exports
+                };
+            }
+            this.logError(`Error in bias report export: ${error.message}`);
+            throw error;
+        }
+    },
+
+    cancelTask: async function () {
+        this.cancelled = true;
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+        this.logWarning("Task cancelled by user");
+    },
+
+    serialize: async function () {
+        return {
+            taskType: 'BiasReportExport',
+            parameters: this.parameters
+        };
+    },
+
+    getRelevantInfo: async function () {
+        return {
+            taskType: 'BiasReportExport',
+            parameters: this.parameters
+        };
+    }
+};
@@ -1,9 +1,137 @@
 module.exports = {
+    // Declared parameters, checked before the task starts and exposed so UIs can render a form from them
+    parameterSchema: {
+        text: { type: 'string', requiredWithout: 'documentId', description: 'Text to analyze' },
+        documentId: { type: 'string', description: 'Existing document to analyze paragraph by paragraph instead of text' },
+        personality: { type: 'string', required: true, description: 'ID of the personality that performs the analysis' },
+        topBiases: { type: 'integer', required: true, min: 1, max: 20, description: 'Number of biases to report' },
+        prompt: { type: 'string', default: 'Analyze the text for any potential biases', description: 'Focus of the analysis' },
+        evidenceMode: { type: 'boolean', default: false, description: 'Require verbatim quotes from the text backing each bias' },
+        sourceLanguage: { type: 'string', description: 'Language of the text; detected during the analysis when omitted' },
+        promptTemplateSet: { type: 'string', default: 'default', description: 'Prompt template set to use; sets stored in the space as bias_prompt_templates documents override the built-in one' },
+        promptTemplateVersion: { type: 'string', description: 'Version of the prompt template set; the highest available version when omitted' },
+        outputLanguage: { type: 'string', default: 'en', description: 'Language of bias names, explanations and chapter text; bias ids stay canonical' },
+        taxonomy: { type: 'json', jsonType: 'array', default: [], description: 'Extra bias categories ({id, label, definition, synonyms}) merged into the built-in taxonomy by id' },
+        timeout: { type: 'integer', min: 1000, max: 600000, default: 20000, description: 'Timeout of one LLM request, in milliseconds' },
+        maxAttempts: { type: 'integer', min: 1, max: 10, default: 3, description: 'Attempts per text segment when the LLM returns malformed output' },
+        timeoutRetries: { type: 'integer', min: 0, max: 10, default: 2, description: 'Extra attempts after a timeout, each with a doubled timeout; they do not use up maxAttempts' },
+        retryDelay: { type: 'integer', min: 0, max: 60000, default: 6000, description: 'Base delay before a retry, in milliseconds; doubled on each further retry, with jitter' }
+    },
+
     runTask: async function () {
+        // Live state reported by getRelevantInfo while the task runs
+        this.progress = {
+            stage: 'initializing',
+            startedAt: Date.now(),
+            finishedAt: null,
+            chunksCompleted: 0,
+            chunksTotal: null,
+            currentChunk: null,
+            currentAttempt: null,
+            lastError: null,
+            documentId: null,
+            analyzingStartedAt: null
+        };
+        const progress = this.progress;
+        // Set while the document is being assembled, to remove it again if saving fails
+        let documentRollback = null;
+
         try {
             // Configuration constants
+            // Recorded in each document's provenance; bump it when a change alters the analysis output
+            const TASK_VERSION = '1.4.0';
             const MIN_LENGTH = 200;
             const MAX_LENGTH = 250;
+            const MAX_EVIDENCE_QUOTES = 3;
+            const CHUNK_SIZE = 6000;
+            const CHUNK_OVERLAP = 500;
+            const MIN_PARAGRAPH_LENGTH = 40;
+            const MIN_SEVERITY = 1;
+            const MAX_SEVERITY = 5;
+            // Ratings assumed when the prompt template set predates ratings and does not ask for them
+            const DEFAULT_SEVERITY = 3;
+            const DEFAULT_CONFIDENCE = 0.5;
+
+            // Document text, in English; {name} marks a value filled in when the document is written
+            const REPORT_STRINGS = {
+                biasIdea: 'Analysis of {bias} bias',
+                biasIdeaUnknown: 'Analysis of {bias} bias (not in the bias taxonomy)',
+                biasTitle: '{bias} (severity {severity}/{maxSeverity}, confidence {confidence}%)',
+                biasTitleUnrated: '{bias}',
+                rationale: 'Rationale: {rationale}',
+                occursIn: 'Occurs in {locations}',
+                locationChapter: 'chapter "{title}" ({chapterId}): {paragraphs}',
+                locationParagraph: 'paragraph {position} ({paragraphId})',
+                detectedInChunks: 'Detected in chunks {chunks} of {total}',
+                evidence: 'Evidence (characters {start}-{end}): "{quote}"',
+                evidenceInParagraph: 'Evidence (paragraph {paragraphId}, characters {start}-{end}): "{quote}"',
+                breakdownTitle: 'Chapter breakdown: {title}',
+                breakdownIdea: 'Biases detected in chapter "{title}" of the analyzed document'
+            };
+
+            // Built-in bias taxonomy; ids are stable across runs and languages, labels are for display
+            const BIAS_TAXONOMY = [
+                { id: 'confirmation_bias', label: 'Confirmation Bias', definition: 'Favoring information that confirms existing beliefs while dismissing contradictory evidence.', synonyms: ['myside bias', 'confirmatory bias', 'belief bias'] },
+                { id: 'selection_bias', label: 'Selection Bias', definition: 'Drawing conclusions from sources, cases or data that are not representative.', synonyms: ['cherry picking', 'sampling bias', 'selective reporting'] },
+                { id: 'framing_effect', label: 'Framing Effect', definition: 'Steering interpretation through how facts are presented rather than what they are.', synonyms: ['framing', 'framing bias', 'spin'] },
+                { id: 'anchoring_bias', label: 'Anchoring Bias', definition: 'Relying too heavily on the first piece of information offered.', synonyms: ['anchoring', 'anchoring effect'] },
+                { id: 'availability_bias', label: 'Availability Bias', definition: 'Overweighting examples that are vivid, recent or easy to recall.', synonyms: ['availability heuristic'] },
+                { id: 'recency_bias', label: 'Recency Bias', definition: 'Giving more weight to recent events or information than to earlier ones.', synonyms: ['recency effect', 'recentism'] },
+                { id: 'authority_bias', label: 'Authority Bias', definition: 'Treating a claim as true because of who makes it rather than the evidence behind it.', synonyms: ['appeal to authority', 'argument from authority'] },
+                { id: 'bandwagon_effect', label: 'Bandwagon Effect', definition: 'Presenting a view as correct because many people hold it.', synonyms: ['bandwagon', 'bandwagon bias', 'appeal to popularity', 'herd mentality'] },
+                { id: 'stereotyping', label: 'Stereotyping', definition: 'Attributing generalized traits to individuals based on group membership.', synonyms: ['stereotype bias', 'stereotypical bias', 'group attribution error'] },
+                { id: 'gender_bias', label: 'Gender Bias', definition: 'Unequal treatment or portrayal of people based on gender.', synonyms: ['sexism', 'sex bias', 'gendered language'] },
+                { id: 'cultural_bias', label: 'Cultural Bias', definition: 'Judging people or practices by the standards of one culture.', synonyms: ['ethnocentrism', 'ethnocentric bias'] },
+                { id: 'racial_bias', label: 'Racial Bias', definition: 'Unequal treatment or portrayal of people based on race or ethnicity.', synonyms: ['racism', 'ethnic bias', 'racial prejudice'] },
+                { id: 'political_bias', label: 'Political Bias', definition: 'Slanting content toward a political position or party.', synonyms: ['partisan bias', 'ideological bias'] },
+                { id: 'media_bias', label: 'Media Bias', definition: 'Slant in which stories news outlets cover and how they report them.', synonyms: ['news bias', 'press bias'] },
+                { id: 'in_group_bias', label: 'In-group Bias', definition: 'Favoring members of one\'s own group over outsiders.', synonyms: ['ingroup bias', 'in-group favoritism', 'us versus them'] },
+                { id: 'emotional_appeal', label: 'Emotional Appeal', definition: 'Persuading through emotion instead of evidence or reasoning.', synonyms: ['appeal to emotion', 'sensationalism', 'fear mongering', 'emotional bias'] },
+                { id: 'loaded_language', label: 'Loaded Language', definition: 'Using wording with strong connotations to influence the reader.', synonyms: ['word choice bias', 'loaded words', 'connotation bias'] },
+                { id: 'overgeneralization', label: 'Overgeneralization', definition: 'Drawing broad conclusions from limited examples.', synonyms: ['hasty generalization', 'generalization bias', 'sweeping generalization'] },
+                { id: 'omission_bias', label: 'Omission Bias', definition: 'Leaving out relevant facts or viewpoints that would change the picture.', synonyms: ['bias by omission', 'missing context', 'one sided reporting'] },
+                { id: 'false_balance', label: 'False Balance', definition: 'Presenting unequal positions as if they had equal support.', synonyms: ['false equivalence', 'balance bias'] },
+                { id: 'status_quo_bias', label: 'Status Quo Bias', definition: 'Preferring the current state of affairs regardless of merit.', synonyms: ['status quo', 'system justification'] },
+                { id: 'negativity_bias', label: 'Negativity Bias', definition: 'Giving disproportionate weight to negative information.', synonyms: ['negativity', 'negative framing'] },
+                { id: 'survivorship_bias', label: 'Survivorship Bias', definition: 'Focusing on successful cases while overlooking those that failed.', synonyms: ['survivor bias', 'survivorship'] }
+            ];
+
+            // Check every parameter against the declared schema before any module is loaded
+            const { validateParameters } = require('./ParameterSchema.js');
+            const params = validateParameters(module.exports.parameterSchema, this.parameters);
+
+            // Evidence mode asks for verbatim quotes backing each bias
+            const evidenceMode = params.evidenceMode;
+
+            // Cooperative cancellation: cancelTask aborts the controller and every pending wait rejects
+            const { createCancellation } = require('./Cancellation.js');
+            this.abortController = new AbortController();
+            if (this.cancelled) {
+                this.abortController.abort();
+            }
+            const { throwIfCancelled, withCancellation, sleep } = createCancellation(this.abortController.signal);
+
+            // Exponential back-off with jitter: between half and all of retryDelay * 2^(retry - 1), capped at a minute
+            const backoffDelay = (retry) => {
+                const delay = Math.min(params.retryDelay * 2 ** (retry - 1), 60000);
+                return delay / 2 + Math.random() * delay / 2;
+            };
+
+            const { isEnglish, translateStrings, createLocalize } = require('./Localization.js');
+
+            // Report strings in English with {placeholders}; other output languages get one LLM translation per run
+            const localizeStrings = (language, personality) => translateStrings(REPORT_STRINGS, language, {
+                templateSet,
+                personality,
+                request: (prompt) => withCancellation(
+                    llmModule.generateText(this.spaceId, prompt, personality.id),
+                    params.timeout,
+                    'LLM request timed out'
+                ),
+                onStage: (stage) => provenanceStages.push(stage),
+                logProgress: (message) => this.logProgress(message),
+                logWarning: (message) => this.logWarning(message)
+            });
 
             this.logInfo("Initializing bias analysis task...");
             const llmModule = await this.loadModule("llm");
@@ -11,8 +139,25 @@ module.exports = {
             const utilModule = await this.loadModule("util");
             const documentModule = await this.loadModule("document");
 
+            // Prompts come from a versioned template set, which the space may override
+            const { loadTemplateSet, renderTemplate } = require('./PromptTemplates.js');
+            const templateSet = await loadTemplateSet(documentModule, this.spaceId, params.promptTemplateSet, params.promptTemplateVersion,
+                message => this.logWarning(message));
+            this.logInfo(`Using prompt template set "${templateSet.id}" version ${templateSet.version}`);
+            // Template sets written before ratings existed do not ask the model for a severity
+            const templateAsksForRatings = /severity/i.test(templateSet.templates.analysis);
+            if (!templateAsksForRatings) {
+                this.logWarning(`Prompt template set "${templateSet.id}" version ${templateSet.version} does not ask for severity and confidence; biases get severity ${DEFAULT_SEVERITY} and confidence ${DEFAULT_CONFIDENCE} and are marked unrated`);
+            }
+
+            // Every LLM request is recorded per stage (text segment, translation) for the document's provenance
+            const { hashText, documentText, createStage, recordCall } = require('./Provenance.js');
+            const provenanceStages = [];
+            const { createRollback } = require('./DocumentRollback.js');
+
             // Helper functions
-            const ensureValidJson = async (jsonString, maxIterations = 1, jsonSchema = null, correctExample = null) => {
+            // Applied repair phases and the LLM repair requests are recorded on the given provenance stage
+            const ensureValidJson = async (jsonString, stage, maxIterations = 1, jsonSchema = null, correctExample = null) => {
                 const phases = {
                     "RemoveJsonMark": async (jsonString, error) => {
                         if (jsonString.startsWith("```json")) {
@@ -62,19 +207,19 @@ module.exports = {
                             - Your answer should not include additional text, information, metadata or meta-commentary
                         `;
 
-                        const response = await llmModule.generateText(this.spaceId, prompt, this.parameters.personality);
+                        const response = await recordCall(stage, 'json repair', prompt, personalityObj, () =>
+                            withCancellation(llmModule.generateText(this.spaceId, prompt, params.personality)));
                         return response.message;
                     }
                 };
 
-                const phaseFunctions = Object.values(phases);
-
                 while (maxIterations > 0) {
-                    for (const phase of phaseFunctions) {
+                    for (const [name, phase] of Object.entries(phases)) {
                         try {
                             JSON.parse(jsonString);
                             return jsonString;
                         } catch (error) {
+                            stage.repairPhases.push(name);
                             jsonString = await phase(jsonString, error.message);
                         }
                     }
@@ -83,11 +228,93 @@ module.exports = {
                 throw new Error("Unable to ensure valid JSON after all phases.");
             };
 
+            const { toBiasId } = require('./BiasIds.js');
+            const { normalizeWithMap, locateQuote } = require('./Evidence.js');
+            const { biasPriority, splitIntoChunks, mergeChunkResults } = require('./Chunks.js');
+
+            // Matching key that ignores case, separators and generic "bias"/"effect" suffixes
+            const taxonomyKey = (name) => toBiasId(name).replace(/_(bias|effect)$/, '');
+
+            // Merge caller-provided categories into the built-in taxonomy, by id
+            const loadTaxonomy = () => {
+                const categories = BIAS_TAXONOMY.map(category => ({ ...category, synonyms: [...category.synonyms] }));
+                params.taxonomy.forEach(category => {
+                    if (!category || !category.id || !category.label) {
+                        throw new Error('Invalid taxonomy category: id and label are required');
+                    }
+                    const existing = categories.find(c => c.id === category.id);
+                    if (existing) {
+                        Object.assign(existing, category, {
+                            synonyms: [...new Set([...existing.synonyms, ...(category.synonyms || [])])]
+                        });
+                    } else {
+                        categories.push({ definition: '', ...category, synonyms: category.synonyms || [] });
+                    }
+                });
+
+                const lookup = new Map();
+                categories.forEach(category => {
+                    [category.id, category.label, ...category.synonyms].forEach(name => {
+                        if (!lookup.has(taxonomyKey(name))) {
+                            lookup.set(taxonomyKey(name), category);
+                        }
+                    });
+                });
+                return { categories, lookup };
+            };
+
+            // Map the free-text bias type onto a canonical category; unknown types keep a slug id and are flagged
+            const classifyBias = (bias) => {
+                const category = taxonomy.lookup.get(taxonomyKey(bias.bias_type));
+                if (category) {
+                    bias.bias_id = category.id;
+                    bias.bias_label = category.label;
+                } else {
+                    bias.bias_id = toBiasId(bias.bias_type);
+                    bias.bias_label = bias.bias_type;
+                    bias.unknown = true;
+                }
+                return bias;
+            };
+
+            // Replaces the LLM quotes with verified spans; returns the biases left without evidence
+            const verifyEvidence = (biases, sourceText) => {
+                const normalizedSource = normalizeWithMap(sourceText);
+                const unsupported = [];
+                biases.forEach(bias => {
+                    const quotes = Array.isArray(bias.evidence) ? bias.evidence : [];
+                    const verified = [];
+                    quotes.forEach(item => {
+                        const quote = typeof item === 'string' ? item : item && item.quote;
+                        const span = locateQuote(sourceText, normalizedSource, quote);
+                        if (!span) {
+                            this.logWarning(`Rejected quote not found in text for bias "${bias.bias_type}": ${quote}`);
+                            return;
+                        }
+                        if (!verified.some(v => v.start === span.start && v.end === span.end)) {
+                            verified.push({
+                                quote: sourceText.slice(span.start, span.end),
+                                start: span.start,
+                                end: span.end
+                            });
+                        }
+                    });
+                    bias.evidence = verified.slice(0, MAX_EVIDENCE_QUOTES);
+                    if (!bias.evidence.length) {
+                        unsupported.push(bias.bias_type);
+                    }
+                });
+                return unsupported;
+            };
+
+            const taxonomy = loadTaxonomy();
+
             // Get personality description
+            progress.stage = 'fetching personality';
             this.logProgress("Fetching personality details...");
             this.logInfo(`Parameters received: ${JSON.stringify(this.parameters)}`);
 
-            const personality = await personalityModule.getPersonality(this.spaceId, this.parameters.personality);
+            const personality = await personalityModule.getPersonality(this.spaceId, params.personality);
             if (!personality) {
                 this.logError("Personality not found by ID");
                 throw new Error('Personality not found by ID');
@@ -103,154 +330,381 @@ module.exports = {
             }
             this.logSuccess("Personality details fetched successfully");
 
-            // Construct the analysis prompt
-            this.logProgress("Constructing analysis prompt...");
-            let analysisPrompt = `You are a bias detection expert. Analyze the following text for potential biases:
-
-Personality: ${personalityObj.name}
-Description: ${personalityObj.description}
-
-User's Analysis Focus: ${this.parameters.prompt || 'Analyze the text for any potential biases'}
-
-Text to analyze:
-${this.parameters.text}
-
-For each bias you identify:
-1. Provide a general name for the bias type
-2. Give a general, abstract explanation of how this type of bias typically manifests in writing
-   - The explanation MUST be between ${MIN_LENGTH}-${MAX_LENGTH} characters long
-   - Do not include specific references to the analyzed text
-3. Provide ${this.parameters.topBiases} different biases
-
-CRITICAL JSON FORMATTING REQUIREMENTS:
-1. Your response MUST start with an opening curly brace {
-2. Your response MUST end with a closing curly brace }
-3. Use double quotes for all strings
-4. Do not include any text, comments, or explanations outside the JSON structure
-5. Ensure all JSON keys and values are properly quoted and formatted
-6. Each explanation must be between ${MIN_LENGTH}-${MAX_LENGTH} characters
-7. Follow this exact structure:
-
-{
-    "biases": [
-        {
-            "bias_type": "name of the bias type",
-            "explanation": "general explanation of how this bias typically manifests in writing, without specific references to the analyzed text (${MIN_LENGTH}-${MAX_LENGTH} chars)"
-        }
-    ]
-}`;
-
-            // Get analysis from LLM with retries
-            let retries = 3;
-            let response;
-            let result;
-
-            const getLLMResponseWithTimeout = async (prompt, timeout = 20000) => {
-                return Promise.race([
+            // Construct the analysis prompt for one segment of the text
+            const localizedOutput = !isEnglish(params.outputLanguage);
+            const buildAnalysisPrompt = (segmentText, segmentLabel) => renderTemplate(templateSet, 'analysis', {
+                personalityName: personalityObj.name,
+                personalityDescription: personalityObj.description,
+                focus: params.prompt,
+                segmentLabel,
+                text: segmentText,
+                canonicalLabels: taxonomy.categories.map(category => category.label).join(', '),
+                minLength: MIN_LENGTH,
+                maxLength: MAX_LENGTH,
+                topBiases: params.topBiases,
+                evidenceMode,
+                maxEvidenceQuotes: MAX_EVIDENCE_QUOTES,
+                sourceLanguage: params.sourceLanguage,
+                localizedOutput,
+                outputLanguage: params.outputLanguage
+            });
+
+            const getLLMResponseWithTimeout = async (prompt, timeout, stage) => {
+                throwIfCancelled();
+                return recordCall(stage, 'analysis', prompt, personalityObj, () => withCancellation(
                     llmModule.generateText(this.spaceId, prompt, personalityObj.id),
-                    new Promise((_, reject) =>
-                        setTimeout(() => reject(new Error('LLM request timed out')), timeout)
-                    )
-                ]);
+                    timeout,
+                    'LLM request timed out'
+                ));
             };
 
-            while (retries > 0) {
-                try {
-                    this.logProgress(`Generating bias analysis (attempt ${4 - retries}/3)...`);
-
-                    response = await getLLMResponseWithTimeout(analysisPrompt);
-                    this.logInfo('Raw response:', response);
-
-                    // First try to ensure we have valid JSON using our helper
-                    const validJsonString = await ensureValidJson(
-                        response.message,
-                        3,  // Increase iterations to give more chances for correction
-                        // Provide detailed JSON schema
-                        `{
-                            "type": "object",
-                            "required": ["biases"],
-                            "properties": {
-                                "biases": {
-                                    "type": "array",
-                                    "items": {
-                                        "type": "object",
-                                        "required": ["bias_type", "explanation"],
-                                        "properties": {
-                                            "bias_type": {"type": "string"},
-                                            "explanation": {
-                                                "type": "string",
-                                                "minLength": ${MIN_LENGTH},
-                                                "maxLength": ${MAX_LENGTH}
+            const rankBiases = (biases) => [...biases].sort((a, b) =>
+                (biasPriority(b) - biasPriority(a)) || (b.severity - a.severity));
+
+            // Get analysis of one segment from LLM with retries
+            const analyzeSegment = async (segmentText, segmentLabel) => {
+                let analysisPrompt = buildAnalysisPrompt(segmentText, segmentLabel);
+                const stage = createStage(segmentLabel ? `analysis (${segmentLabel})` : 'analysis');
+                stage.promptHash = hashText(analysisPrompt);
+                provenanceStages.push(stage);
+                // Malformed output uses up attempts; timeouts have their own budget and lengthen the next timeout
+                let retries = params.maxAttempts;
+                let timeoutRetries = params.timeoutRetries;
+                let timeout = params.timeout;
+                let retryCount = 0;
+                let response;
+                let result;
+
+                while (retries > 0) {
+                    try {
+                        this.logProgress(`Generating bias analysis (attempt ${params.maxAttempts - retries + 1}/${params.maxAttempts})...`);
+                        progress.currentAttempt = { attempt: params.maxAttempts - retries + 1, maxAttempts: params.maxAttempts };
+
+                        stage.attempts++;
+                        response = await getLLMResponseWithTimeout(analysisPrompt, timeout, stage);
+                        this.logInfo('Raw response:', response);
+
+                        // First try to ensure we have valid JSON using our helper
+                        const validJsonString = await ensureValidJson(
+                            response.message,
+                            stage,
+                            3,  // Increase iterations to give more chances for correction
+                            // Provide detailed JSON schema
+                            `{
+                                "type": "object",
+                                "required": ["biases"],
+                                "properties": {
+                                    "biases": {
+                                        "type": "array",
+                                        "items": {
+                                            "type": "object",
+                                            "required": ["bias_type", "explanation", "severity", "confidence", "rationale"${evidenceMode ? ', "evidence"' : ''}],
+                                            "properties": {
+                                                "bias_type": {"type": "string"},
+                                                "explanation": {
+                                                    "type": "string",
+                                                    "minLength": ${MIN_LENGTH},
+                                                    "maxLength": ${MAX_LENGTH}
+                                                },
+                                                "severity": {"type": "integer", "minimum": ${MIN_SEVERITY}, "maximum": ${MAX_SEVERITY}},
+                                                "confidence": {"type": "number", "minimum": 0, "maximum": 1},
+                                                "rationale": {"type": "string"}${evidenceMode ? `,
+                                                "evidence": {
+                                                    "type": "array",
+                                                    "items": {
+                                                        "type": "object",
+                                                        "required": ["quote"],
+                                                        "properties": {"quote": {"type": "string"}}
+                                                    }
+                                                }` : ''}
                                             }
                                         }
                                     }
                                 }
+                            }`,
+                            // Provide a complete example with proper string formatting
+                            `{
+                                "biases": [
+                                    {
+                                        "bias_type": "confirmation_bias",
+                                        "explanation": "A cognitive tendency where individuals actively seek, interpret, and remember information that confirms their existing beliefs while dismissing contradictory evidence. This pattern often leads to reinforced preconceptions and resistance to alternative viewpoints.",
+                                        "severity": 4,
+                                        "confidence": 0.8,
+                                        "rationale": "The text cites only supporting studies and dismisses critics without engaging their arguments."${evidenceMode ? `,
+                                        "evidence": [{"quote": "a passage copied verbatim from the analyzed text"}]` : ''}
+                                    }
+                                ]
+                            }`
+                        );
+
+                        // Parse the validated JSON
+                        result = JSON.parse(validJsonString);
+                        this.logInfo(`Parsed result for attempt ${params.maxAttempts - retries + 1}:`, result);
+
+                        // Validate result structure and lengths; a segment without biases is a valid answer
+                        if (!Array.isArray(result.biases)) {
+                            throw new Error('Invalid response format: biases array is missing');
+                        }
+
+                        // Every bias needs a severity, a confidence and a rationale to be ranked. Template sets from
+                        // before ratings do not ask for them: their biases get neutral defaults and are marked unrated
+                        result.biases.forEach((bias, index) => {
+                            if (!templateAsksForRatings && bias.severity === undefined && bias.confidence === undefined) {
+                                Object.assign(bias, { severity: DEFAULT_SEVERITY, confidence: DEFAULT_CONFIDENCE, unrated: true });
+                                if (bias.rationale === undefined) {
+                                    bias.rationale = '';
+                                }
+                                return;
+                            }
+                            const problems = [];
+                            if (!Number.isInteger(bias.severity) || bias.severity < MIN_SEVERITY || bias.severity > MAX_SEVERITY) {
+                                problems.push(`severity must be an integer from ${MIN_SEVERITY} to ${MAX_SEVERITY}`);
+                            }
+                            if (typeof bias.confidence !== 'number' || bias.confidence < 0 || bias.confidence > 1) {
+                                problems.push('confidence must be a number from 0 to 1');
+                            }
+                            if (typeof bias.rationale !== 'string' || !bias.rationale.trim()) {
+                                problems.push('rationale must be a non-empty string');
+                            }
+                            if (problems.length) {
+                                throw new Error(`Invalid response format: bias ${index + 1} (${bias.bias_type}): ${problems.join('; ')}`);
+                            }
+                        });
+
+                        // Keep the topBiases most severe and most certain biases
+                        if (result.biases.length > params.topBiases) {
+                            this.logInfo(`Got ${result.biases.length} biases; keeping the ${params.topBiases} ranked highest`);
+                        }
+                        result.biases = rankBiases(result.biases).slice(0, params.topBiases);
+
+                        // Log explanation lengths but don't enforce them
+                        result.biases.forEach((bias, index) => {
+                            const length = bias.explanation.length;
+                            if (length < MIN_LENGTH || length > MAX_LENGTH) {
+                                this.logWarning(`Note: Explanation for bias ${index + 1} has ${length} characters (suggested range was ${MIN_LENGTH}-${MAX_LENGTH} characters)`);
                             }
-                        }`,
-                        // Provide a complete example with proper string formatting
-                        `{
-                            "biases": [
-                                {
-                                    "bias_type": "confirmation_bias",
-                                    "explanation": "A cognitive tendency where individuals actively seek, interpret, and remember information that confirms their existing beliefs while dismissing contradictory evidence. This pattern often leads to reinforced preconceptions and resistance to alternative viewpoints."
+                        });
+
+                        // Keep only quotes that really occur in the text; re-request unsupported biases while retries remain
+                        if (evidenceMode) {
+                            const unsupported = verifyEvidence(result.biases, segmentText);
+                            if (unsupported.length) {
+                                if (retries > 1) {
+                                    throw new Error(`Evidence quotes not found verbatim in the text for: ${unsupported.join(', ')}`);
                                 }
-                            ]
-                        }`
-                    );
+                                this.logWarning(`Keeping biases without verified evidence: ${unsupported.join(', ')}`);
+                            }
+                        }
 
-                    // Parse the validated JSON
-                    result = JSON.parse(validJsonString);
-                    this.logInfo(`Parsed result for attempt ${4 - retries}:`, result);
+                        break;
+                    } catch (error) {
+                        if (error.cancelled) {
+                            throw error;
+                        }
+                        retryCount++;
+                        stage.failures.push({ attempt: stage.attempts, reason: error.message || 'Unknown error', timedOut: Boolean(error.timedOut) });
+                        progress.lastError = { chunk: progress.currentChunk, message: error.message || 'Unknown error', at: new Date().toISOString() };
+
+                        // A slow model is given more time instead of a corrected prompt
+                        if (error.timedOut) {
+                            if (timeoutRetries === 0) {
+                                this.logError('LLM request timed out after all timeout retries');
+                                throw error;
+                            }
+                            timeoutRetries--;
+                            timeout *= 2;
+                            this.logWarning(`LLM request timed out; retrying with a ${Math.round(timeout / 1000)}s timeout (${timeoutRetries} timeout retries remaining)`);
+                            await sleep(backoffDelay(retryCount));
+                            continue;
+                        }
 
-                    // Validate result structure and lengths
-                    if (!result.biases || !result.biases.length) {
-                        throw new Error('Invalid response format: biases array is empty or missing');
-                    }
+                        retries--;
+                        const errorMessage = error.message || 'Unknown error';
+                        this.logWarning(`Analysis generation failed: ${errorMessage}`);
+
+                        if (retries === 0) {
+                            this.logError(`Failed to generate valid analysis after all retries: ${errorMessage}`);
+                            throw error;
+                        }
+
+                        // On retry, append error information to the prompt
+                        analysisPrompt += renderTemplate(templateSet, 'analysisRetry', {
+                            errorMessage,
+                            topBiases: params.topBiases,
+                            evidenceMode
+                        });
 
-                    // Check if we have at most the number of biases specified
-                    const expectedBiases = parseInt(this.parameters.topBiases);
-                    if (result.biases.length > expectedBiases) {
-                        throw new Error(`Invalid response format: Got ${result.biases.length} biases, maximum allowed is ${expectedBiases}`);
+                        this.logWarning(`Retrying analysis (${retries}/${params.maxAttempts} attempts remaining)`);
+                        await sleep(backoffDelay(retryCount));
                     }
+                }
+
+                return result;
+            };
 
-                    // Log explanation lengths but don't enforce them
-                    result.biases.forEach((bias, index) => {
-                        const length = bias.explanation.length;
-                        if (length < MIN_LENGTH || length > MAX_LENGTH) {
-                            this.logWarning(`Note: Explanation for bias ${index + 1} has ${length} characters (suggested range was ${MIN_LENGTH}-${MAX_LENGTH} characters)`);
+            // Build the chunks to analyze: from the raw text, or paragraph by paragraph from an existing document
+            this.logProgress("Preparing text for analysis...");
+            let sourceDocument = null;
+            let chunks = [];
+            const chapterTitles = {};
+            const paragraphPositions = {};
+            const chunkOptions = { chunkSize: CHUNK_SIZE, overlap: CHUNK_OVERLAP };
+
+            if (params.documentId) {
+                sourceDocument = await documentModule.getDocument(this.spaceId, params.documentId);
+                if (!sourceDocument) {
+                    throw new Error('Document to analyze not found');
+                }
+
+                (sourceDocument.chapters || []).forEach(chapter => {
+                    chapterTitles[chapter.id] = chapter.title;
+                    const paragraphs = chapter.paragraphs || [];
+                    paragraphs.forEach((paragraph, paragraphIndex) => {
+                        if (!paragraph.text || paragraph.text.trim().length < MIN_PARAGRAPH_LENGTH) {
+                            return;
                         }
+                        paragraphPositions[paragraph.id] = paragraphIndex + 1;
+                        const parts = splitIntoChunks(paragraph.text, chunkOptions);
+                        parts.forEach((part, partIndex) => {
+                            chunks.push({
+                                ...part,
+                                index: chunks.length,
+                                chapterId: chapter.id,
+                                paragraphId: paragraph.id,
+                                label: `chapter "${chapter.title}", paragraph ${paragraphIndex + 1} of ${paragraphs.length}` +
+                                    (parts.length > 1 ? `, part ${partIndex + 1} of ${parts.length}` : '')
+                            });
+                        });
                     });
+                });
 
-                    break;
-                } catch (error) {
-                    retries--;
-                    const errorMessage = error.message || 'Unknown error';
-                    this.logWarning(`Analysis generation failed: ${errorMessage}`);
+                if (!chunks.length) {
+                    throw new Error('Document has no paragraphs long enough to analyze');
+                }
+                this.logInfo(`Document "${sourceDocument.title}" split into ${chunks.length} paragraph chunks`);
+            } else {
+                chunks = splitIntoChunks(params.text, chunkOptions).map((chunk, index, all) => ({
+                    ...chunk,
+                    label: all.length > 1 ? `part ${index + 1} of ${all.length}` : null
+                }));
+                if (chunks.length > 1) {
+                    this.logInfo(`Text of ${params.text.length} characters split into ${chunks.length} overlapping chunks`);
+                }
+            }
 
-                    if (retries === 0) {
-                        this.logError(`Failed to generate valid analysis after all retries: ${errorMessage}`);
-                        throw error;
+            // Analyze each chunk separately, then reduce the per-chunk bias lists
+            const chunkResults = [];
+            const detectedLanguages = [];
+            Object.assign(progress, { stage: 'analyzing', chunksTotal: chunks.length, analyzingStartedAt: Date.now() });
+            for (const chunk of chunks) {
+                throwIfCancelled();
+                if (chunk.label) {
+                    this.logProgress(`Analyzing ${chunk.label}...`);
+                }
+                progress.currentChunk = chunk.index + 1;
+                const chunkResult = await analyzeSegment(chunk.text, chunk.label);
+                progress.chunksCompleted++;
+                progress.currentAttempt = null;
+                if (!chunkResult.biases.length && chunk.label) {
+                    this.logInfo(`No biases detected in ${chunk.label}`);
+                }
+
+                if (typeof chunkResult.source_language === 'string' && chunkResult.source_language.trim()) {
+                    detectedLanguages.push(chunkResult.source_language.trim().toLowerCase());
+                }
+                chunkResult.biases.forEach(bias => {
+                    classifyBias(bias);
+                    // Display the name in the output language; the canonical id is unaffected
+                    if (localizedOutput && typeof bias.bias_name === 'string' && bias.bias_name.trim()) {
+                        bias.bias_label = bias.bias_name.trim();
                     }
+                    delete bias.bias_name;
+                    // Evidence offsets are relative to the chunk; make them relative to the full text or paragraph
+                    (bias.evidence || []).forEach(evidence => {
+                        evidence.start += chunk.start;
+                        evidence.end += chunk.start;
+                        if (chunk.paragraphId) {
+                            evidence.chapterId = chunk.chapterId;
+                            evidence.paragraphId = chunk.paragraphId;
+                        }
+                    });
+                });
+                chunkResults.push({ chunk, biases: chunkResult.biases });
+            }
 
-                    // On retry, append error information to the prompt
-                    analysisPrompt += `\n\nPrevious attempt failed with error: ${errorMessage}
-                    Please ensure your response:
-                    1. Is valid JSON that starts with { and ends with }
-                    2. Contains exactly ${this.parameters.topBiases} items in biases array
-                    3. Uses double quotes for all strings
-                    4. Does not include any text outside the JSON structure
-                    5. Has no trailing commas
-                    6. Has no comments within the JSON`;
-
-                    this.logWarning(`Retrying analysis (${retries}/3 attempts remaining)`);
-                    // Wait 2 seconds before retrying
-                    await new Promise(resolve => setTimeout(resolve, 6000));
+            // The specified source language wins; otherwise the language most chunks reported, the first reported on a tie
+            const languageVotes = new Map();
+            detectedLanguages.forEach(language => languageVotes.set(language, (languageVotes.get(language) || 0) + 1));
+            let detectedLanguage = null;
+            languageVotes.forEach((votes, language) => {
+                if (!detectedLanguage || votes > languageVotes.get(detectedLanguage)) {
+                    detectedLanguage = language;
                 }
+            });
+            const sourceLanguage = params.sourceLanguage || detectedLanguage;
+            if (!params.sourceLanguage) {
+                this.logInfo(`Detected source language: ${sourceLanguage || 'unknown'}`);
+            }
+
+            // Neutral chunks are expected in a long text; only a text with no bias anywhere is an error
+            const mergeOptions = { topBiases: params.topBiases, maxEvidenceQuotes: MAX_EVIDENCE_QUOTES };
+            const mergedBiases = mergeChunkResults(chunkResults, mergeOptions);
+            if (!mergedBiases.length) {
+                throw new Error(sourceDocument
+                    ? `No biases were detected in any of the ${chunks.length} analyzed paragraph chunk(s) of document "${sourceDocument.title}"`
+                    : `No biases were detected in any of the ${chunks.length} analyzed segment(s)`);
+            }
+
+            const result = {
+                sourceLanguage,
+                outputLanguage: params.outputLanguage,
+                biases: mergedBiases,
+                chunks: chunks.map(({ index, start, end, chapterId, paragraphId }) => ({ index, start, end, chapterId, paragraphId }))
+            };
+
+            // Per-chapter breakdown of a document; the document-level rollup is result.biases
+            if (sourceDocument) {
+                result.source = {
+                    documentId: params.documentId,
+                    title: sourceDocument.title
+                };
+                result.chapters = sourceDocument.chapters
+                    .map(chapter => ({
+                        chapterId: chapter.id,
+                        title: chapter.title,
+                        biases: mergeChunkResults(chunkResults.filter(({ chunk }) => chunk.chapterId === chapter.id), mergeOptions)
+                            .map(bias => ({
+                                bias_id: bias.bias_id,
+                                bias_label: bias.bias_label,
+                                paragraphIds: bias.locations.map(location => location.paragraphId)
+                            }))
+                    }))
+                    .filter(chapter => chapter.biases.length);
+            }
+
+            const strings = await localizeStrings(params.outputLanguage, personalityObj);
+            const localize = createLocalize(strings);
+
+            const describeParagraphs = (paragraphIds) => paragraphIds
+                .map(id => localize('locationParagraph', { position: paragraphPositions[id], paragraphId: id }))
+                .join(', ');
+            const describeLocations = (locations) => Object.entries(locations.reduce((byChapter, location) => {
+                (byChapter[location.chapterId] = byChapter[location.chapterId] || []).push(location.paragraphId);
+                return byChapter;
+            }, {})).map(([chapterId, paragraphIds]) =>
+                localize('locationChapter', { title: chapterTitles[chapterId], chapterId, paragraphs: describeParagraphs(paragraphIds) })
+            ).join('; ');
+
+            const unknownBiasTypes = result.biases.filter(bias => bias.unknown).map(bias => bias.bias_type);
+            if (unknownBiasTypes.length) {
+                this.logWarning(`Bias types not found in the taxonomy: ${unknownBiasTypes.join(', ')}`);
             }
 
             this.logSuccess("Successfully generated bias analysis");
 
-            // Save analysis as a document
+            // Save analysis as a document, unless the task was cancelled meanwhile
+            throwIfCancelled();
+            progress.stage = 'saving';
             this.logProgress("Saving analysis results...");
 
             const documentObj = {
@@ -259,7 +713,26 @@ CRITICAL JSON FORMATTING REQUIREMENTS:
                 content: JSON.stringify(result, null, 2),
                 abstract: JSON.stringify({
                     personality: personalityObj.name,
-                    topBiases: this.parameters.topBiases,
+                    topBiases: params.topBiases,
+                    evidenceMode: evidenceMode,
+                    sourceDocumentId: params.documentId || null,
+                    chunkCount: chunks.length,
+                    sourceLanguage: sourceLanguage,
+                    outputLanguage: params.outputLanguage,
+                    promptTemplates: { id: templateSet.id, version: templateSet.version },
+                    unknownBiasTypes: unknownBiasTypes,
+                    provenance: {
+                        taskType: 'BiasAnalysis',
+                        taskVersion: TASK_VERSION,
+                        input: sourceDocument
+                            ? { type: 'document', documentId: params.documentId, hash: hashText(documentText(sourceDocument)) }
+                            : { type: 'text', documentId: null, hash: hashText(params.text) },
+                        personalityIds: [personalityObj.id],
+                        models: [...new Set(provenanceStages.flatMap(stage => stage.calls.map(call => call.model)).filter(Boolean))],
+                        promptHash: hashText(provenanceStages.filter(stage => stage.promptHash).map(stage => stage.promptHash).join()),
+                        stages: provenanceStages,
+                        createdAt: new Date().toISOString()
+                    },
                     timestamp: new Date().toISOString()
                 }, null, 2),
                 metadata: {
@@ -268,7 +741,12 @@ CRITICAL JSON FORMATTING REQUIREMENTS:
                 }
             };
             
-            const documentId = await documentModule.addDocument(this.spaceId, documentObj);
+            // The document and its chapters are one unit: if any call fails, whatever was added is deleted again.
+            // Paragraphs are added with the document module directly and are only removed along with their chapter,
+            // so every chapter of this document must be added through the rollback. No images are uploaded here.
+            documentRollback = createRollback(documentModule, null, this.spaceId);
+            const documentId = await documentRollback.addDocument(documentObj);
+            progress.documentId = documentId;
 
             // Add chapters for each bias
             this.logProgress("Adding chapters and paragraphs...");
@@ -278,13 +756,18 @@ CRITICAL JSON FORMATTING REQUIREMENTS:
             for (let i = 0; i < result.biases.length; i++) {
                 // Create chapter for each bias
                 const chapterData = {
-                    title: result.biases[i].bias_type,
-                    idea: `Analysis of ${result.biases[i].bias_type} bias`
+                    title: localize(result.biases[i].unrated ? 'biasTitleUnrated' : 'biasTitle', {
+                        bias: result.biases[i].bias_label,
+                        severity: result.biases[i].severity,
+                        maxSeverity: MAX_SEVERITY,
+                        confidence: Math.round(result.biases[i].confidence * 100)
+                    }),
+                    idea: localize(result.biases[i].unknown ? 'biasIdeaUnknown' : 'biasIdea', { bias: result.biases[i].bias_label })
                 };
 
-                const chapterId = await documentModule.addChapter(this.spaceId, documentId, chapterData);
+                const chapterId = await documentRollback.addChapter(documentId, chapterData);
                 chapterIds.push(chapterId);
-                this.logInfo(`Added chapter for bias: ${result.biases[i].bias_type}`, {
+                this.logInfo(`Added chapter for bias: ${result.biases[i].bias_label}`, {
                     documentId: documentId,
                     chapterId: chapterId
                 });
@@ -301,10 +784,62 @@ CRITICAL JSON FORMATTING REQUIREMENTS:
                     chapterId: chapterId,
                     paragraphId: paragraphId
                 });
+
+                if (result.biases[i].rationale) {
+                    await documentModule.addParagraph(this.spaceId, documentId, chapterId, {
+                        text: localize('rationale', { rationale: result.biases[i].rationale }),
+                        commands: {}
+                    });
+                }
+
+                // Record where in the source document, or in which chunks of a long text, this bias was found
+                if (sourceDocument) {
+                    await documentModule.addParagraph(this.spaceId, documentId, chapterId, {
+                        text: localize('occursIn', { locations: describeLocations(result.biases[i].locations) }),
+                        commands: {}
+                    });
+                } else if (chunks.length > 1) {
+                    await documentModule.addParagraph(this.spaceId, documentId, chapterId, {
+                        text: localize('detectedInChunks', { chunks: result.biases[i].chunks.map(index => index + 1).join(', '), total: chunks.length }),
+                        commands: {}
+                    });
+                }
+
+                // Add each verified quote with its character offsets in the analyzed text
+                for (const evidence of result.biases[i].evidence || []) {
+                    await documentModule.addParagraph(this.spaceId, documentId, chapterId, {
+                        text: localize(evidence.paragraphId ? 'evidenceInParagraph' : 'evidence', {
+                            paragraphId: evidence.paragraphId,
+                            start: evidence.start,
+                            end: evidence.end,
+                            quote: evidence.quote
+                        }),
+                        commands: {}
+                    });
+                }
+            }
+
+            // Add the per-chapter breakdown after the document-level rollup; its chapters are typed so that
+            // readers of the document, which may be translated, can tell them apart from the bias chapters
+            for (const chapter of result.chapters || []) {
+                const breakdownChapterId = await documentRollback.addChapter(documentId, {
+                    type: 'bias_breakdown',
+                    title: localize('breakdownTitle', { title: chapter.title }),
+                    idea: localize('breakdownIdea', { title: chapter.title })
+                });
+                for (const bias of chapter.biases) {
+                    await documentModule.addParagraph(this.spaceId, documentId, breakdownChapterId, {
+                        text: `${bias.bias_label}: ${describeParagraphs(bias.paragraphIds)}`,
+                        commands: {}
+                    });
+                }
             }
 
+            documentRollback.commit();
+            documentRollback = null;
             this.logSuccess("Successfully added all chapters and paragraphs");
             this.logSuccess(`Analysis saved as document with ID: ${documentId}`);
+            Object.assign(progress, { stage: 'completed', finishedAt: Date.now(), currentChunk: null });
 
             return {
                 status: 'completed',
@@ -313,12 +848,43 @@ CRITICAL JSON FORMATTING REQUIREMENTS:
             };
 
         } catch (error) {
+            Object.assign(progress, {
+                stage: error.cancelled ? 'cancelled' : 'failed',
+                finishedAt: Date.now(),
+                lastError: error.cancelled ? progress.lastError : { chunk: progress.currentChunk, message: error.message, at: new Date().toISOString() }
+            });
+            // Set when saving stopped partway, to say what became of the half-built document
+            let documentOutcome = null;
+            if (documentRollback) {
+                // Saving failed partway: remove the half-built document rather than leave it in the space
+                const { removed, errors } = await documentRollback.rollback();
+                if (errors.length) {
+                    this.logWarning(`Could not remove ${errors.length} item(s) of the unfinished document ${progress.documentId}`, { errors });
+                    documentOutcome = `the unfinished document ${progress.documentId} could not be fully removed`;
+                } else if (removed) {
+                    this.logWarning(`Removed the unfinished document ${progress.documentId}`);
+                    documentOutcome = `the unfinished document ${progress.documentId} was removed`;
+                    progress.documentId = null;
+                }
+            }
+            if (error.cancelled) {
+                this.logWarning(documentOutcome
+                    ? `Bias analysis cancelled while the document was being written; ${documentOutcome}`
+                    : "Bias analysis cancelled before a document was written");
+                return {
+                    status: 'cancelled'
+                };
+            }
             this.logError(`Error in bias analysis: ${error.message}`);
             throw error;
         }
     },
 
     cancelTask: async function () {
+        this.cancelled = true;
+        if (this.abortController) {
+            this.abortController.abort();
+        }
         this.logWarning("Task cancelled by user");
     },
 
@@ -330,9 +896,36 @@ CRITICAL JSON FORMATTING REQUIREMENTS:
     },
 
     getRelevantInfo: async function () {
+        const progress = this.progress;
+        if (!progress) {
+            return {
+                taskType: 'BiasAnalysis',
+                parameters: this.parameters,
+                progress: null
+            };
+        }
+        // Remaining time is extrapolated from the chunks analyzed so far; saving is not estimated
+        const now = progress.finishedAt || Date.now();
+        let estimatedRemainingMs = null;
+        if (progress.finishedAt) {
+            estimatedRemainingMs = 0;
+        } else if (progress.stage === 'analyzing' && progress.chunksCompleted > 0) {
+            estimatedRemainingMs = Math.round((now - progress.analyzingStartedAt) / progress.chunksCompleted * (progress.chunksTotal - progress.chunksCompleted));
+        }
         return {
             taskType: 'BiasAnalysis',
-            parameters: this.parameters
+            parameters: this.parameters,
+            progress: {
+                stage: progress.stage,
+                chunksCompleted: progress.chunksCompleted,
+                chunksTotal: progress.chunksTotal,
+                currentChunk: progress.currentChunk,
+                currentAttempt: progress.currentAttempt,
+                lastError: progress.lastError,
+                elapsedMs: now - progress.startedAt,
+                estimatedRemainingMs,
+                documentId: progress.documentId
+            }
         };
     }
 }; 
\ No newline at end of file
@@ -0,0 +1,52 @@
+// Localization of report text shared by the bias tasks.
+// Each task keeps the text it writes into documents as English strings with {name} placeholders;
+// for any other output language the whole set is translated with one LLM request per run.
+
+const { renderTemplate } = require('./PromptTemplates.js');
+const { createStage, recordCall } = require('./Provenance.js');
+
+const isEnglish = (language) => /^en(glish)?([-_].*)?$/i.test(String(language).trim());
+
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort().join();
+
+// Translate strings into language. request(prompt) sends the translation prompt to the LLM and
+// the recorded stage is handed to onStage for the document's provenance.
+// A string the translation lost or whose placeholders it changed stays in English, as do all of them when it fails.
+const translateStrings = async (strings, language, { templateSet, personality, request, onStage, logProgress, logWarning }) => {
+    if (isEnglish(language)) {
+        return { ...strings };
+    }
+    logProgress(`Translating report strings into ${language}...`);
+    const prompt = renderTemplate(templateSet, 'translation', {
+        language,
+        strings: JSON.stringify(strings, null, 2)
+    });
+    const stage = createStage('translation');
+    onStage(stage);
+    try {
+        stage.attempts++;
+        const response = await recordCall(stage, 'translation', prompt, personality, () => request(prompt));
+        const translated = JSON.parse(response.message.trim().replace(/^```(json)?/, '').replace(/```$/, ''));
+        return Object.fromEntries(Object.entries(strings).map(([key, english]) => {
+            const value = translated[key];
+            return [key, typeof value === 'string' && value.trim() && placeholders(value) === placeholders(english) ? value : english];
+        }));
+    } catch (error) {
+        if (error.cancelled) {
+            throw error;
+        }
+        stage.failures.push({ attempt: stage.attempts, reason: error.message, timedOut: Boolean(error.timedOut) });
+        logWarning(`Could not translate report strings into ${language}, keeping English: ${error.message}`);
+        return { ...strings };
+    }
+};
+
+// Look up a string by key and fill in its {name} placeholders; placeholders without a value are left as they are
+const createLocalize = (strings) => (key, values = {}) =>
+    strings[key].replace(/\{(\w+)\}/g, (match, name) => name in values ? values[name] : match);
+
+module.exports = {
+    isEnglish,
+    translateStrings,
+    createLocalize
+};
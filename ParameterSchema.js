@@ -0,0 +1,117 @@
+// Parameter validation shared by the bias tasks.
+// A task declares its parameters as a parameterSchema of {name: field}, where a field is
+// {type, required, requiredWithout, default, description} plus type-specific checks:
+// 'string' (enum), 'integer' (min, max), 'boolean', 'list' (minItems, enum, commaSeparated) and 'json' (jsonType).
+
+// Check every parameter against the schema before any module is loaded;
+// all problems are collected and reported together in one error
+const validateParameters = (schema, parameters) => {
+    const isAbsent = (value) => value === undefined || value === null || value === '';
+    const values = {};
+    const problems = [];
+    Object.entries(schema).forEach(([name, field]) => {
+        let value = parameters[name];
+        if (isAbsent(value)) {
+            if (field.required) {
+                problems.push(`${name}: is required`);
+            } else if (field.requiredWithout && isAbsent(parameters[field.requiredWithout])) {
+                problems.push(`${name}: is required when ${field.requiredWithout} is not provided`);
+            } else if (field.default !== undefined) {
+                values[name] = JSON.parse(JSON.stringify(field.default));
+            }
+            return;
+        }
+        switch (field.type) {
+            case 'string':
+                if (typeof value !== 'string' || !value.trim()) {
+                    problems.push(`${name}: must be a non-empty string`);
+                    return;
+                }
+                if (field.enum && !field.enum.includes(value)) {
+                    problems.push(`${name}: must be one of ${field.enum.join(', ')}`);
+                    return;
+                }
+                break;
+            case 'integer':
+                if (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value)) {
+                    value = parseInt(value, 10);
+                }
+                if (!Number.isInteger(value)) {
+                    problems.push(`${name}: must be an integer`);
+                    return;
+                }
+                if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+                    problems.push(field.max === undefined ? `${name}: must be at least ${field.min}`
+                        : field.min === undefined ? `${name}: must be at most ${field.max}`
+                            : `${name}: must be between ${field.min} and ${field.max}`);
+                    return;
+                }
+                break;
+            case 'boolean':
+                if (value === 'true' || value === 'false') {
+                    value = value === 'true';
+                }
+                if (typeof value !== 'boolean') {
+                    problems.push(`${name}: must be true or false`);
+                    return;
+                }
+                break;
+            case 'list':
+                // An array, a JSON array string or, unless the items may contain commas, a comma-separated string
+                if (typeof value === 'string') {
+                    if (value.trim().startsWith('[')) {
+                        try {
+                            value = JSON.parse(value);
+                        } catch (error) {
+                            problems.push(`${name}: is not a valid JSON array (${error.message})`);
+                            return;
+                        }
+                    } else if (field.commaSeparated !== false) {
+                        value = value.split(',');
+                    } else {
+                        problems.push(`${name}: must be an array or a JSON array string`);
+                        return;
+                    }
+                }
+                if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                    problems.push(`${name}: must be a list of strings`);
+                    return;
+                }
+                value = [...new Set(value.map(item => item.trim()).filter(Boolean))];
+                if (value.length < (field.minItems || 0)) {
+                    problems.push(`${name}: must contain at least ${field.minItems} item(s)`);
+                    return;
+                }
+                if (field.enum && value.some(item => !field.enum.includes(item))) {
+                    problems.push(`${name}: items must be one of ${field.enum.join(', ')}`);
+                    return;
+                }
+                break;
+            case 'json':
+                if (typeof value === 'string') {
+                    try {
+                        value = JSON.parse(value);
+                    } catch (error) {
+                        problems.push(`${name}: is not valid JSON (${error.message})`);
+                        return;
+                    }
+                }
+                if (field.jsonType === 'array' && !Array.isArray(value)) {
+                    problems.push(`${name}: must be an array`);
+                    return;
+                }
+                break;
+        }
+        values[name] = value;
+    });
+    if (problems.length) {
+        const error = new Error(`Invalid parameters:\n- ${problems.join('\n- ')}`);
+        error.invalidParameters = problems;
+        throw error;
+    }
+    return values;
+};
+
+module.exports = {
+    validateParameters
+};
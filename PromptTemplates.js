@@ -0,0 +1,237 @@
+// Prompt templates shared by the bias tasks.
+// Placeholders are written as {{name}}; {{#if name}}...{{else}}...{{/if}} keeps a block only when name is truthy.
+// A space can override templates with a 'bias_prompt_templates' document whose content is
+// {"id": "...", "version": "...", "templates": {...}}; templates it leaves out come from the built-in default.
+
+const DEFAULT_TEMPLATE_SET = {
+    id: 'default',
+    version: '1.2.0',
+    templates: {
+        analysis: `You are a bias detection expert. Analyze the following text for potential biases:
+
+Personality: {{personalityName}}
+Description: {{personalityDescription}}
+
+User's Analysis Focus: {{focus}}
+
+Text to analyze{{#if segmentLabel}} ({{segmentLabel}}){{/if}}:
+{{text}}
+
+For each bias you identify:
+1. Provide a general name for the bias type, using one of these canonical names when it fits:
+   {{canonicalLabels}}
+2. Give a general, abstract explanation of how this type of bias typically manifests in writing
+   - The explanation MUST be between {{minLength}}-{{maxLength}} characters long
+   - Do not include specific references to the analyzed text
+3. Rate its severity from 1 (minor) to 5 (severe): how strongly the bias shapes this text
+4. Give your confidence, from 0 to 1, that the bias is really present in this text
+5. Justify the severity and confidence in a short rationale of one sentence, which may refer to the text
+6. Provide up to {{topBiases}} different biases, the most severe first; if the text shows no bias, return an empty "biases" array
+{{#if evidenceMode}}7. Support each bias with 1-{{maxEvidenceQuotes}} evidence quotes
+   - Each quote MUST be copied verbatim from the text to analyze, with no paraphrasing or ellipses
+   - Each quote should be a short passage (a phrase or a single sentence) where the bias shows up
+{{/if}}
+Language:
+- {{#if sourceLanguage}}The text is written in {{sourceLanguage}}{{else}}Identify the language of the text and report its ISO 639-1 code as "source_language"{{/if}}
+- Always give "bias_type" in English, so results stay comparable across languages{{#if localizedOutput}}
+- Write every explanation and rationale in {{outputLanguage}} and give the bias name in {{outputLanguage}} as "bias_name"{{/if}}{{#if evidenceMode}}
+- Evidence quotes stay in the language of the text, exactly as written{{/if}}
+
+CRITICAL JSON FORMATTING REQUIREMENTS:
+1. Your response MUST start with an opening curly brace {
+2. Your response MUST end with a closing curly brace }
+3. Use double quotes for all strings
+4. Do not include any text, comments, or explanations outside the JSON structure
+5. Ensure all JSON keys and values are properly quoted and formatted
+6. Each explanation must be between {{minLength}}-{{maxLength}} characters
+7. Follow this exact structure:
+
+{{{#if sourceLanguage}}{{else}}
+    "source_language": "ISO 639-1 code of the language of the text",{{/if}}
+    "biases": [
+        {
+            "bias_type": "name of the bias type, in English",{{#if localizedOutput}}
+            "bias_name": "name of the bias type in {{outputLanguage}}",{{/if}}
+            "explanation": "general explanation of how this bias typically manifests in writing, without specific references to the analyzed text ({{minLength}}-{{maxLength}} chars)",
+            "severity": integer from 1 to 5,
+            "confidence": number from 0 to 1,
+            "rationale": "one sentence on why this severity and confidence"{{#if evidenceMode}},
+            "evidence": [
+                {
+                    "quote": "exact passage copied from the text"
+                }
+            ]{{/if}}
+        }
+    ]
+}`,
+
+        analysisRetry: `
+
+Previous attempt failed with error: {{errorMessage}}
+Please ensure your response:
+1. Is valid JSON that starts with { and ends with }
+2. Contains at most {{topBiases}} items in biases array
+3. Uses double quotes for all strings
+4. Does not include any text outside the JSON structure
+5. Has no trailing commas
+6. Has no comments within the JSON
+7. Gives every bias an integer severity from 1 to 5, a confidence from 0 to 1 and a one-sentence rationale{{#if evidenceMode}}
+8. Quotes every evidence passage exactly as it appears in the text, character for character{{/if}}`,
+
+        explanation: `As {{personalityName}} ({{personalityDescription}}), analyze each bias explanation and provide:
+1. Two scores from {{minScore}} to {{maxScore}}:
+   - A score indicating your level of support or agreement with this bias
+   - A score indicating your level of opposition or disagreement with this bias
+2. A detailed explanation ({{minWords}}-{{maxWords}} words) of why you assigned these scores
+
+For each bias, consider:
+- The significance of the bias in the context
+- The potential impact on readers or decision-making
+- The subtlety or obviousness of the bias
+- The broader implications of this type of bias
+
+You MUST analyze ALL {{biasCount}} biases provided below.
+Each bias MUST have both scores.
+
+Biases to analyze ({{biasCount}} total):
+{{biases}}
+{{#if detectorRatings}}
+The severity (1-5), confidence (0-1) and rationale of each bias come from the bias detector.
+Use them as context only; your scores must reflect your own perspective.
+{{/if}}
+CRITICAL JSON FORMATTING REQUIREMENTS:
+1. Your response MUST be PURE JSON - no markdown, no backticks, no extra text
+2. You MUST analyze exactly {{biasCount}} biases, no more, no less
+3. Each bias MUST have both for_score and against_score
+4. Keep explanations concise ({{minWords}}-{{maxWords}} words) to avoid truncation
+5. Follow this exact structure and DO NOT deviate from it:
+
+[
+    {
+        "bias_id": "bias_id from input, copied exactly",
+        "bias_type": "name of bias from input",
+        "for_score": number between {{minScore}} and {{maxScore}},
+        "against_score": number between {{minScore}} and {{maxScore}},
+        "detailed_explanation": "A single concise paragraph explaining your perspective"
+    }
+]
+
+STRICT JSON REQUIREMENTS:
+- Response MUST start with [ and end with ]
+- Use double quotes (") for all strings
+- No single quotes (')
+- No trailing commas
+- No comments
+- No line breaks within strings
+- No extra fields or properties
+- No markdown formatting or code blocks
+- ONLY pure, valid JSON array
+
+IMPORTANT:
+- Analyze each bias from YOUR unique personality perspective{{#if localizedOutput}}
+- Write every detailed_explanation in {{outputLanguage}}; keep bias_id and bias_type exactly as given{{/if}}
+- Keep explanations between {{minWords}} and {{maxWords}} words
+- Ensure your scores and explanations reflect your distinct personality traits and viewpoints
+- Make your analysis clearly different from how other personalities might view these biases
+- Base your responses on your specific personality characteristics and background`,
+
+        explanationRetry: `
+
+Previous attempt failed with error: {{errorMessage}}
+Please ensure your response:
+1. Is valid JSON
+2. Contains EXACTLY {{biasCount}} scored_biases (you provided wrong number)
+3. Each bias has both for_score and against_score between {{minScore}} and {{maxScore}}
+4. Each explanation is a single clean paragraph
+5. No special characters or line breaks in text
+6. Each bias from the input is analyzed and keeps its bias_id unchanged`,
+
+        translation: `Translate the values of this JSON object into {{language}}.
+Keep every key unchanged and keep every {placeholder} in curly braces exactly as it is.
+Respond with the translated JSON object only, with no markdown and no extra text.
+
+{{strings}}`
+    }
+};
+
+// Orders versions like 1.2.0 < 1.10.0
+const compareVersions = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+
+// Resolve a template set by id, from the space documents first and the built-in default otherwise.
+// Without a version the highest version wins; for the default set the built-in version takes part too.
+// A template document that is not valid JSON may belong to any set, so it is skipped with a warning.
+const loadTemplateSet = async (documentModule, spaceId, setId = 'default', version = null, logWarning = () => {}) => {
+    const candidates = [];
+    const unreadable = [];
+    const documents = await documentModule.getDocumentsMetadata(spaceId);
+    for (const metadata of documents || []) {
+        if (metadata.type !== 'bias_prompt_templates') {
+            continue;
+        }
+        const document = await documentModule.getDocument(spaceId, metadata.id);
+        if (!document) {
+            continue;
+        }
+        let set;
+        try {
+            set = JSON.parse(document.content);
+        } catch (error) {
+            logWarning(`Skipping prompt template document ${metadata.id}: it is not valid JSON (${error.message})`);
+            unreadable.push(metadata.id);
+            continue;
+        }
+        if (set && set.id === setId && (!version || String(set.version) === String(version))) {
+            if (!set.version || !set.templates || typeof set.templates !== 'object') {
+                throw new Error(`Prompt template document ${metadata.id} needs a version and a templates object`);
+            }
+            candidates.push({ ...set, documentId: metadata.id });
+        }
+    }
+
+    // The built-in set competes with space copies of the default set, so an outdated copy does not shadow a newer release
+    if (setId === DEFAULT_TEMPLATE_SET.id && !version && candidates.length &&
+        candidates.every(candidate => compareVersions(candidate.version, DEFAULT_TEMPLATE_SET.version) < 0)) {
+        return { ...DEFAULT_TEMPLATE_SET, documentId: null };
+    }
+    if (candidates.length) {
+        const set = candidates.sort((a, b) => compareVersions(b.version, a.version))[0];
+        return {
+            id: set.id,
+            version: String(set.version),
+            documentId: set.documentId,
+            templates: { ...DEFAULT_TEMPLATE_SET.templates, ...set.templates }
+        };
+    }
+    if (setId === DEFAULT_TEMPLATE_SET.id && (!version || version === DEFAULT_TEMPLATE_SET.version)) {
+        return { ...DEFAULT_TEMPLATE_SET, documentId: null };
+    }
+    throw new Error(`Prompt template set "${setId}"${version ? ` version ${version}` : ''} not found in the space` +
+        (unreadable.length ? ` (unreadable template documents: ${unreadable.join(', ')})` : ''));
+};
+
+// Fill a template with variables; an unknown placeholder is an error so typos in overrides surface early
+const renderTemplate = (templateSet, name, variables) => {
+    let output = templateSet.templates[name];
+    if (typeof output !== 'string') {
+        throw new Error(`Prompt template "${name}" is missing from template set "${templateSet.id}"`);
+    }
+    // Resolve the innermost conditional blocks first so blocks can be nested
+    const conditional = /\{\{#if (\w+)\}\}((?:(?!\{\{#if )[\s\S])*?)\{\{\/if\}\}/;
+    let match;
+    while ((match = conditional.exec(output))) {
+        const [whenTrue, whenFalse = ''] = match[2].split('{{else}}');
+        output = output.slice(0, match.index) + (variables[match[1]] ? whenTrue : whenFalse) + output.slice(match.index + match[0].length);
+    }
+    return output.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => {
+        if (!(key in variables)) {
+            throw new Error(`Prompt template "${name}" of set "${templateSet.id}" uses unknown variable "${key}"`);
+        }
+        return String(variables[key] ?? '');
+    });
+};
+
+module.exports = {
+    DEFAULT_TEMPLATE_SET,
+    loadTemplateSet,
+    renderTemplate
+};
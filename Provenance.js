@@ -0,0 +1,93 @@
+// Provenance records shared by the bias tasks.
+// Every bias_analysis and bias_explained document keeps a "provenance" object in its abstract:
+// {taskType, taskVersion, input: {type, documentId, hash}, personalityIds, models, promptHash, stages, createdAt},
+// where each stage is {stage, attempts, failures, repairPhases, calls} and each call records its latency and model.
+
+const crypto = require('crypto');
+
+const hashText = (text) => `sha256:${crypto.createHash('sha256').update(String(text), 'utf8').digest('hex')}`;
+
+// The text of a document as analyzed: its paragraphs, chapter by chapter
+const documentText = (document) => (document.chapters || [])
+    .flatMap(chapter => (chapter.paragraphs || []).map(paragraph => paragraph.text || ''))
+    .join('\n\n');
+
+// The model that answered, when the llm module reports it, or else the one configured on the personality
+const modelOf = (response, personality) =>
+    (response && response.model) || (personality && personality.llms && personality.llms.text) || null;
+
+const createStage = (stage) => ({ stage, attempts: 0, failures: [], repairPhases: [], calls: [] });
+
+// Time one LLM request and record it on the stage, whatever its outcome
+const recordCall = async (stage, purpose, prompt, personality, request) => {
+    const call = { purpose, promptHash: hashText(prompt), model: null, latencyMs: null, outcome: 'ok' };
+    stage.calls.push(call);
+    const started = Date.now();
+    try {
+        const response = await request();
+        call.model = modelOf(response, personality);
+        return response;
+    } catch (error) {
+        call.outcome = error.cancelled ? 'cancelled' : error.timedOut ? 'timeout' : 'error';
+        call.error = error.message;
+        throw error;
+    } finally {
+        call.latencyMs = Date.now() - started;
+    }
+};
+
+const loadProvenance = (document) => {
+    try {
+        const abstract = document.abstract ? JSON.parse(document.abstract) : {};
+        return abstract.provenance || null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Check that the input a document was generated from is still what it was.
+// Analyses of raw text can only be checked when that text is passed in.
+// Explanations also check the analysis they explain, so an edit anywhere up the chain is flagged.
+const verifyProvenance = async (documentModule, spaceId, documentId, text = null) => {
+    const document = await documentModule.getDocument(spaceId, documentId);
+    if (!document) {
+        throw new Error(`Document ${documentId} not found`);
+    }
+    const provenance = loadProvenance(document);
+    if (!provenance || !provenance.input || !provenance.input.hash) {
+        return { documentId, status: 'unverifiable', changed: false, reason: 'The document has no provenance record' };
+    }
+
+    const { input } = provenance;
+    const report = { documentId, input: { type: input.type, documentId: input.documentId || null }, recordedHash: input.hash, currentHash: null };
+    if (input.type === 'text') {
+        if (text === null) {
+            return { ...report, status: 'unverifiable', changed: false, reason: 'The analyzed text was not stored; pass it in to check it' };
+        }
+        report.currentHash = hashText(text);
+    } else {
+        const source = await documentModule.getDocument(spaceId, input.documentId);
+        if (!source) {
+            return { ...report, status: 'missing', changed: true, reason: `Source document ${input.documentId} no longer exists` };
+        }
+        report.currentHash = hashText(input.type === 'analysis' ? source.content : documentText(source));
+        if (input.type === 'analysis') {
+            report.upstream = await verifyProvenance(documentModule, spaceId, input.documentId);
+        }
+    }
+
+    const changed = report.currentHash !== report.recordedHash;
+    return {
+        ...report,
+        status: changed ? 'changed' : 'unchanged',
+        changed: changed || Boolean(report.upstream && report.upstream.changed)
+    };
+};
+
+module.exports = {
+    hashText,
+    documentText,
+    createStage,
+    recordCall,
+    verifyProvenance
+};
@@ -0,0 +1,106 @@
+// Statistics shared by the bias tasks.
+// Kept free of task state so the numbers the reports rely on can be checked on their own.
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Two decimals, as the reports show them
+const round = (value) => value === null ? null : Math.round(value * 100) / 100;
+
+// Two-sided 95% Student t quantiles by degrees of freedom; samples are capped at 10
+const T_QUANTILES_95 = [null, 12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262];
+
+// Distribution-free interval of the median from order statistics: the rank of the narrowest pair of
+// sorted samples still covering 95%. Below 6 samples no pair reaches 95%, so the full range is used
+// and its lower coverage is reported instead
+const medianInterval = (count) => {
+    const lowerTail = (rank) => {
+        let coefficient = 1;
+        let sum = 0;
+        for (let i = 0; i < rank; i++) {
+            sum += coefficient;
+            coefficient = coefficient * (count - i) / (i + 1);
+        }
+        return sum / 2 ** count;
+    };
+    const coverage = (rank) => 1 - 2 * lowerTail(rank);
+    let rank = 1;
+    while (rank + 1 <= count / 2 && coverage(rank + 1) >= 0.95) {
+        rank++;
+    }
+    return { rank, level: coverage(rank) };
+};
+
+// Confidence level, in percent, of the intervals reported for an aggregation ('mean' or 'median') over count samples
+const intervalLevel = (aggregation, count) => aggregation === 'median'
+    ? Math.floor(medianInterval(count).level * 1000) / 10
+    : 95;
+
+// Summary of one score over the samples, with a confidence interval of the aggregated statistic:
+// a t-interval of the mean, or an order-statistic interval of the median, kept within [minScore, maxScore]
+const sampleStatistics = (values, { aggregation, minScore, maxScore }) => {
+    const average = mean(values);
+    const sd = Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+    let ci;
+    if (aggregation === 'median') {
+        const sorted = [...values].sort((a, b) => a - b);
+        const { rank } = medianInterval(values.length);
+        ci = [round(sorted[rank - 1]), round(sorted[values.length - rank])];
+    } else {
+        const margin = T_QUANTILES_95[values.length - 1] * sd / Math.sqrt(values.length);
+        ci = [round(Math.max(minScore, average - margin)), round(Math.min(maxScore, average + margin))];
+    }
+    return {
+        samples: values,
+        mean: round(average),
+        median: round(median(values)),
+        sd: round(sd),
+        ci,
+        ci_of: aggregation,
+        ci_level: intervalLevel(aggregation, values.length)
+    };
+};
+
+// Krippendorff's alpha for interval data. Each unit is the list of values the coders gave it; units with
+// a single value cannot be paired and are left out. Returns null when fewer than two pairable values remain.
+const krippendorffAlpha = (units) => {
+    const pairable = units.filter(values => values.length > 1);
+    const allValues = pairable.flat();
+    const n = allValues.length;
+    if (n < 2) {
+        return null;
+    }
+
+    const sumOfSquaredDifferences = (values) => {
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+            for (let j = 0; j < values.length; j++) {
+                sum += (values[i] - values[j]) ** 2;
+            }
+        }
+        return sum;
+    };
+
+    const observed = pairable.reduce((sum, values) => sum + sumOfSquaredDifferences(values) / (values.length - 1), 0) / n;
+    const expected = sumOfSquaredDifferences(allValues) / (n * (n - 1));
+    if (expected === 0) {
+        // Every coder gave every unit the same value
+        return 1;
+    }
+    return 1 - observed / expected;
+};
+
+module.exports = {
+    mean,
+    median,
+    round,
+    medianInterval,
+    intervalLevel,
+    sampleStatistics,
+    krippendorffAlpha
+};
@@ -0,0 +1,84 @@
+module.exports = {
+    // Declared parameters, checked before the task starts and exposed so UIs can render a form from them
+    parameterSchema: {
+        documentId: { type: 'string', required: true, description: 'ID of the bias_analysis or bias_explained document to verify' },
+        // Analyses of raw text store only its hash; the text can be passed in to check it
+        text: { type: 'string', description: 'Text the analysis was run on, when it was not a document' }
+    },
+
+    runTask: async function () {
+        try {
+            // Check every parameter against the declared schema before any module is loaded
+            const { validateParameters } = require('./ParameterSchema.js');
+            const params = validateParameters(module.exports.parameterSchema, this.parameters);
+
+            // Cooperative cancellation: cancelTask aborts the controller and the pending verification rejects
+            const { createCancellation } = require('./Cancellation.js');
+            this.abortController = new AbortController();
+            if (this.cancelled) {
+                this.abortController.abort();
+            }
+            const { withCancellation } = createCancellation(this.abortController.signal);
+
+            this.logInfo("Initializing provenance verification task...");
+            const documentModule = await this.loadModule("document");
+            const { verifyProvenance } = require('./Provenance.js');
+
+            this.logProgress(`Verifying the provenance of document ${params.documentId}...`);
+            const verification = await withCancellation(verifyProvenance(documentModule, this.spaceId, params.documentId, params.text || null));
+
+            // Walk the chain from the document to the text it was ultimately generated from
+            for (let step = verification; step; step = step.upstream) {
+                const input = step.input ? `${step.input.type} input${step.input.documentId ? ` ${step.input.documentId}` : ''}` : 'input';
+                const message = `Document ${step.documentId}: ${input} is ${step.status}${step.reason ? ` (${step.reason})` : ''}`;
+                if (step.status === 'changed' || step.status === 'missing') {
+                    this.logWarning(message);
+                } else {
+                    this.logInfo(message);
+                }
+            }
+
+            if (verification.changed) {
+                this.logWarning(`Document ${params.documentId} no longer matches the input it was generated from`);
+            } else if (verification.status === 'unchanged') {
+                this.logSuccess(`Document ${params.documentId} matches the input it was generated from`);
+            }
+            return {
+                status: 'completed',
+                verification
+            };
+
+        } catch (error) {
+            if (error.cancelled) {
+                this.logWarning("Provenance verification cancelled");
+                return {
+                    status: 'cancelled'
+                };
+            }
+            this.logError(`Error in provenance verification: ${error.message}`);
+            throw error;
+        }
+    },
+
+    cancelTask: async function () {
+        this.cancelled = true;
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+        this.logWarning("Task cancelled by user");
+    },
+
+    serialize: async function () {
+        return {
+            taskType: 'ProvenanceVerification',
+            parameters: this.parameters
+        };
+    },
+
+    getRelevantInfo: async function () {
+        return {
+            taskType: 'ProvenanceVerification',
+            parameters: this.parameters
+        };
+    }
+};
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toBiasId, biasIdOf } = require('../BiasIds.js');
+
+test('toBiasId lowercases names and joins their words with single underscores', () => {
+    assert.strictEqual(toBiasId('Confirmation Bias'), 'confirmation_bias');
+    assert.strictEqual(toBiasId('  Status-quo  bias (strong) '), 'status_quo_bias_strong');
+    assert.strictEqual(toBiasId('Type 2 error'), 'type_2_error');
+});
+
+test('toBiasId keeps letters of any script', () => {
+    assert.strictEqual(toBiasId('Biais de confirmation'), 'biais_de_confirmation');
+    assert.strictEqual(toBiasId('Eféctó Halo'), 'eféctó_halo');
+    assert.strictEqual(toBiasId('Предвзятость подтверждения'), 'предвзятость_подтверждения');
+    assert.strictEqual(toBiasId('确认偏误'), '确认偏误');
+    assert.notStrictEqual(toBiasId('确认偏误'), toBiasId('锚定效应'));
+});
+
+test('toBiasId gives composed and decomposed accents the same id', () => {
+    assert.strictEqual(toBiasId('Efe\u0301cto'), 'ef\u00e9cto');
+});
+
+test('toBiasId falls back to a short hash for names without letters or digits', () => {
+    assert.strictEqual(toBiasId('???'), 'bias_a03b221c');
+    assert.strictEqual(toBiasId('!!!'), 'bias_e84c538e');
+});
+
+test('biasIdOf prefers the stored id and derives one from the type otherwise', () => {
+    assert.strictEqual(biasIdOf({ bias_id: 'anchoring', bias_type: 'Anchoring effect' }), 'anchoring');
+    assert.strictEqual(biasIdOf({ bias_type: 'Anchoring effect' }), 'anchoring_effect');
+});
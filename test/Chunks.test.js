@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { biasPriority, splitIntoChunks, mergeChunkResults } = require('../Chunks.js');
+
+test('splitIntoChunks keeps a short text in one chunk and an empty text in none', () => {
+    assert.deepStrictEqual(splitIntoChunks('Short text.', { chunkSize: 100, overlap: 10 }),
+        [{ index: 0, start: 0, end: 11, text: 'Short text.' }]);
+    assert.deepStrictEqual(splitIntoChunks('', { chunkSize: 100, overlap: 10 }), []);
+});
+
+test('splitIntoChunks breaks at sentence ends and starts each next chunk at a word inside the overlap', () => {
+    const text = 'aaaa. bbbb. cccc. dddd.';
+    assert.deepStrictEqual(splitIntoChunks(text, { chunkSize: 12, overlap: 6 }), [
+        { index: 0, start: 0, end: 11, text: 'aaaa. bbbb.' },
+        { index: 1, start: 6, end: 17, text: 'bbbb. cccc.' },
+        { index: 2, start: 12, end: 23, text: 'cccc. dddd.' }
+    ]);
+});
+
+test('splitIntoChunks cuts at chunkSize when there is no boundary and always makes progress', () => {
+    const chunks = splitIntoChunks('x'.repeat(25), { chunkSize: 10, overlap: 20 });
+    assert.deepStrictEqual(chunks.map(({ start, end }) => [start, end]),
+        [[0, 10], [1, 11], [2, 12], [3, 13], [4, 14], [5, 15], [6, 16], [7, 17], [8, 18], [9, 19],
+            [10, 20], [11, 21], [12, 22], [13, 23], [14, 24], [15, 25]]);
+});
+
+test('biasPriority weights severity by confidence', () => {
+    assert.strictEqual(biasPriority({ severity: 8, confidence: 0.5 }), 4);
+});
+
+test('mergeChunkResults merges by bias id, keeps the strongest rating and ranks by priority', () => {
+    const merged = mergeChunkResults([
+        {
+            chunk: { index: 0 },
+            biases: [
+                { bias_id: 'framing', severity: 4, confidence: 0.5, rationale: 'weak' },
+                { bias_id: 'anchoring', severity: 6, confidence: 0.5, rationale: 'only one' }
+            ]
+        },
+        {
+            chunk: { index: 1 },
+            biases: [{ bias_id: 'framing', severity: 8, confidence: 0.75, rationale: 'strong' }]
+        }
+    ], { topBiases: 5, maxEvidenceQuotes: 3 });
+    assert.deepStrictEqual(merged, [
+        { bias_id: 'framing', severity: 8, confidence: 0.75, rationale: 'strong', evidence: undefined, chunks: [0, 1] },
+        { bias_id: 'anchoring', severity: 6, confidence: 0.5, rationale: 'only one', evidence: undefined, chunks: [0] }
+    ]);
+});
+
+test('mergeChunkResults breaks ties by severity, then by chunk count, then by first chunk, and trims to topBiases', () => {
+    const merged = mergeChunkResults([
+        {
+            chunk: { index: 0 },
+            biases: [
+                { bias_id: 'late', severity: 4, confidence: 0.5 },
+                { bias_id: 'severe', severity: 8, confidence: 0.25 },
+                { bias_id: 'dropped', severity: 1, confidence: 0.1 }
+            ]
+        },
+        {
+            chunk: { index: 1 },
+            biases: [
+                { bias_id: 'repeated', severity: 4, confidence: 0.5 },
+                { bias_id: 'first', severity: 4, confidence: 0.5 }
+            ]
+        },
+        {
+            chunk: { index: 2 },
+            biases: [{ bias_id: 'repeated', severity: 4, confidence: 0.5 }]
+        }
+    ], { topBiases: 4, maxEvidenceQuotes: 3 });
+    assert.deepStrictEqual(merged.map(bias => bias.bias_id), ['severe', 'repeated', 'late', 'first']);
+});
+
+test('mergeChunkResults collects paragraph locations and caps deduplicated evidence', () => {
+    const quote = (start, paragraphId) => ({ quote: 'q', start, end: start + 1, paragraphId });
+    const merged = mergeChunkResults([
+        {
+            chunk: { index: 0, chapterId: 'c1', paragraphId: 'p1' },
+            biases: [{ bias_id: 'framing', severity: 5, confidence: 1, evidence: [quote(0, 'p1'), quote(0, 'p1')] }]
+        },
+        {
+            chunk: { index: 1, chapterId: 'c1', paragraphId: 'p1' },
+            biases: [{ bias_id: 'framing', severity: 5, confidence: 1, evidence: [quote(4, 'p1')] }]
+        },
+        {
+            chunk: { index: 2, chapterId: 'c2', paragraphId: 'p2' },
+            biases: [{ bias_id: 'framing', severity: 5, confidence: 1, evidence: [quote(0, 'p2'), quote(9, 'p2')] }]
+        }
+    ], { topBiases: 1, maxEvidenceQuotes: 3 });
+    assert.deepStrictEqual(merged[0].locations, [{ chapterId: 'c1', paragraphId: 'p1' }, { chapterId: 'c2', paragraphId: 'p2' }]);
+    assert.deepStrictEqual(merged[0].evidence, [quote(0, 'p1'), quote(4, 'p1'), quote(0, 'p2')]);
+    assert.deepStrictEqual(merged[0].chunks, [0, 1, 2]);
+});
+
+test('mergeChunkResults takes evidence from a later chunk when the first chunk brought none', () => {
+    const evidence = { quote: 'q', start: 3, end: 4 };
+    const merged = mergeChunkResults([
+        { chunk: { index: 0 }, biases: [{ bias_id: 'framing', severity: 5, confidence: 1 }] },
+        { chunk: { index: 1 }, biases: [{ bias_id: 'framing', severity: 5, confidence: 1, evidence: [evidence] }] }
+    ], { topBiases: 1, maxEvidenceQuotes: 3 });
+    assert.deepStrictEqual(merged[0].evidence, [evidence]);
+});
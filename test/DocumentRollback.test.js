@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRollback } = require('../DocumentRollback.js');
+
+// Document and space modules that hand out sequential ids and record every deletion
+const createModules = ({ failing = [] } = {}) => {
+    let nextId = 1;
+    const calls = [];
+    const fail = (id) => {
+        if (failing.includes(id)) {
+            throw new Error(`Cannot delete ${id}`);
+        }
+    };
+    return {
+        calls,
+        documentModule: {
+            addDocument: async () => `d${nextId++}`,
+            addChapter: async () => `c${nextId++}`,
+            deleteDocument: async (spaceId, documentId) => {
+                calls.push(['deleteDocument', spaceId, documentId]);
+                fail(documentId);
+            },
+            deleteChapter: async (spaceId, documentId, chapterId) => {
+                calls.push(['deleteChapter', spaceId, documentId, chapterId]);
+                fail(chapterId);
+            }
+        },
+        spaceModule: {
+            putImage: async () => `i${nextId++}`,
+            deleteImage: async (imageId) => {
+                calls.push(['deleteImage', imageId]);
+                fail(imageId);
+            }
+        }
+    };
+};
+
+test('rollback deletes what the unit created, newest first, and leaves chapters to their deleted document', async () => {
+    const { calls, documentModule, spaceModule } = createModules();
+    const rollback = createRollback(documentModule, spaceModule, 'space');
+    assert.strictEqual(await rollback.putImage(Buffer.from('png')), 'i1');
+    assert.strictEqual(await rollback.addDocument({ title: 'new' }), 'd2');
+    assert.strictEqual(await rollback.addChapter('d2', { title: 'chapter' }), 'c3');
+    assert.strictEqual(await rollback.addChapter('existing', { title: 'chapter' }), 'c4');
+
+    assert.deepStrictEqual(await rollback.rollback(), { removed: 4, errors: [] });
+    assert.deepStrictEqual(calls, [
+        ['deleteChapter', 'space', 'existing', 'c4'],
+        ['deleteDocument', 'space', 'd2'],
+        ['deleteImage', 'i1']
+    ]);
+});
+
+test('rollback attempts every deletion and returns the ones that failed', async () => {
+    const { calls, documentModule, spaceModule } = createModules({ failing: ['c2'] });
+    const rollback = createRollback(documentModule, spaceModule, 'space');
+    await rollback.putImage(Buffer.from('png'));
+    await rollback.addChapter('existing', { title: 'chapter' });
+
+    assert.deepStrictEqual(await rollback.rollback(), {
+        removed: 1,
+        errors: [{ kind: 'chapter', documentId: 'existing', id: 'c2', message: 'Cannot delete c2' }]
+    });
+    assert.strictEqual(calls.length, 2);
+});
+
+test('commit keeps what the unit created and a later rollback only covers what came after', async () => {
+    const { calls, documentModule, spaceModule } = createModules();
+    const rollback = createRollback(documentModule, spaceModule, 'space');
+    await rollback.addDocument({ title: 'kept' });
+    rollback.commit();
+    await rollback.addChapter('d1', { title: 'undone' });
+
+    assert.deepStrictEqual(await rollback.rollback(), { removed: 1, errors: [] });
+    assert.deepStrictEqual(await rollback.rollback(), { removed: 0, errors: [] });
+    assert.deepStrictEqual(calls, [['deleteChapter', 'space', 'd1', 'c2']]);
+});
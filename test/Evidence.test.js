@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeWithMap, locateQuote } = require('../Evidence.js');
+
+test('normalizeWithMap collapses whitespace, folds case and quote style and maps back to the original indices', () => {
+    const { normalized, map } = normalizeWithMap('A  “Quoted”\n\tIt’s');
+    assert.strictEqual(normalized, 'a "quoted" it\'s');
+    assert.deepStrictEqual(map, [0, 1, 3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 14, 15, 16]);
+});
+
+test('normalizeWithMap keeps characters whose lower case changes length', () => {
+    const { normalized, map } = normalizeWithMap('İx');
+    assert.strictEqual(normalized, 'İx');
+    assert.deepStrictEqual(map, [0, 1]);
+});
+
+test('locateQuote finds an exact quote at its position', () => {
+    const text = 'The plan is clearly the only sensible choice.';
+    const span = locateQuote(text, normalizeWithMap(text), 'the only sensible choice');
+    assert.deepStrictEqual(span, { start: 20, end: 44 });
+    assert.strictEqual(text.slice(span.start, span.end), 'the only sensible choice');
+});
+
+test('locateQuote maps a quote that differs in whitespace, case and quote style back onto the source text', () => {
+    const text = 'Critics   called it “a total\n disaster” for everyone.';
+    const span = locateQuote(text, normalizeWithMap(text), '  called it "A TOTAL disaster"  ');
+    assert.deepStrictEqual(span, { start: 10, end: 39 });
+    assert.strictEqual(text.slice(span.start, span.end), 'called it “a total\n disaster”');
+});
+
+test('locateQuote rejects quotes that are missing, empty or not strings', () => {
+    const text = 'Only this sentence is here.';
+    const normalizedSource = normalizeWithMap(text);
+    assert.strictEqual(locateQuote(text, normalizedSource, 'a sentence that is not there'), null);
+    assert.strictEqual(locateQuote(text, normalizedSource, '   '), null);
+    assert.strictEqual(locateQuote(text, normalizedSource, undefined), null);
+    assert.strictEqual(locateQuote(text, normalizedSource, { quote: 'Only' }), null);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateParameters } = require('../ParameterSchema.js');
+
+const problemsOf = (schema, parameters) => {
+    try {
+        validateParameters(schema, parameters);
+    } catch (error) {
+        return error.invalidParameters;
+    }
+    assert.fail('expected the parameters to be rejected');
+};
+
+test('validateParameters fills in copies of the defaults and leaves optional fields without one out', () => {
+    const schema = {
+        prompt: { type: 'string', default: 'Analyze' },
+        taxonomy: { type: 'json', jsonType: 'array', default: [] },
+        language: { type: 'string' }
+    };
+    const first = validateParameters(schema, { prompt: '' });
+    assert.deepStrictEqual(first, { prompt: 'Analyze', taxonomy: [] });
+    first.taxonomy.push('changed');
+    assert.deepStrictEqual(validateParameters(schema, {}).taxonomy, []);
+});
+
+test('validateParameters converts integers, booleans, lists and JSON given as strings', () => {
+    const schema = {
+        count: { type: 'integer', min: 1, max: 10 },
+        flag: { type: 'boolean' },
+        names: { type: 'list' },
+        ids: { type: 'list' },
+        texts: { type: 'list', commaSeparated: false },
+        extra: { type: 'json' }
+    };
+    assert.deepStrictEqual(validateParameters(schema, {
+        count: ' 7 ',
+        flag: 'false',
+        names: ' a, b ,,a',
+        ids: '["x", "y"]',
+        texts: ['one, two', 'three'],
+        extra: '{"key": 1}'
+    }), {
+        count: 7,
+        flag: false,
+        names: ['a', 'b'],
+        ids: ['x', 'y'],
+        texts: ['one, two', 'three'],
+        extra: { key: 1 }
+    });
+});
+
+test('validateParameters reports every problem at once', () => {
+    const schema = {
+        personality: { type: 'string', required: true },
+        text: { type: 'string', requiredWithout: 'documentId' },
+        documentId: { type: 'string' },
+        mode: { type: 'string', enum: ['mean', 'median'] },
+        flag: { type: 'boolean' },
+        charts: { type: 'list', enum: ['bar', 'radar'], minItems: 1 },
+        taxonomy: { type: 'json', jsonType: 'array' }
+    };
+    assert.throws(() => validateParameters(schema, { mode: 'mode', flag: 'yes', charts: 'pie', taxonomy: '{}' }), {
+        message: 'Invalid parameters:\n' +
+            '- personality: is required\n' +
+            '- text: is required when documentId is not provided\n' +
+            '- mode: must be one of mean, median\n' +
+            '- flag: must be true or false\n' +
+            '- charts: items must be one of bar, radar\n' +
+            '- taxonomy: must be an array'
+    });
+});
+
+test('validateParameters names the bounds an integer is outside of', () => {
+    const schema = {
+        both: { type: 'integer', min: 1, max: 20 },
+        atLeast: { type: 'integer', min: 0 },
+        atMost: { type: 'integer', max: 5 },
+        whole: { type: 'integer' }
+    };
+    assert.deepStrictEqual(problemsOf(schema, { both: 21, atLeast: -1, atMost: 6, whole: 1.5 }), [
+        'both: must be between 1 and 20',
+        'atLeast: must be at least 0',
+        'atMost: must be at most 5',
+        'whole: must be an integer'
+    ]);
+});
+
+test('validateParameters rejects malformed lists', () => {
+    const schema = {
+        json: { type: 'list' },
+        items: { type: 'list' },
+        empty: { type: 'list', minItems: 1 },
+        texts: { type: 'list', commaSeparated: false }
+    };
+    const problems = problemsOf(schema, { json: '[oops', items: [1, 2], empty: ' , ', texts: 'a, b' });
+    assert.match(problems[0], /^json: is not a valid JSON array \(/);
+    assert.deepStrictEqual(problems.slice(1), [
+        'items: must be a list of strings',
+        'empty: must contain at least 1 item(s)',
+        'texts: must be an array or a JSON array string'
+    ]);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashText, documentText, verifyProvenance } = require('../Provenance.js');
+
+const ABC_HASH = 'sha256:ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+
+// Documents of one space, served the way the document module's getDocument does
+const documentsOf = (documents) => ({
+    getDocument: async (spaceId, documentId) => documents[documentId] || null
+});
+
+const withProvenance = (provenance, fields = {}) => ({ ...fields, abstract: JSON.stringify({ provenance }) });
+
+test('hashText is the prefixed SHA-256 of the text', () => {
+    assert.strictEqual(hashText('abc'), ABC_HASH);
+});
+
+test('documentText joins the paragraphs of all chapters', () => {
+    assert.strictEqual(documentText({
+        chapters: [{ paragraphs: [{ text: 'one' }, { text: 'two' }] }, {}, { paragraphs: [{}] }]
+    }), 'one\n\ntwo\n\n');
+});
+
+test('verifyProvenance checks an analysis of raw text only when the text is passed in', async () => {
+    const documents = documentsOf({
+        analysis: withProvenance({ input: { type: 'text', hash: ABC_HASH } })
+    });
+    assert.deepStrictEqual(await verifyProvenance(documents, 'space', 'analysis', 'abc'), {
+        documentId: 'analysis',
+        input: { type: 'text', documentId: null },
+        recordedHash: ABC_HASH,
+        currentHash: ABC_HASH,
+        status: 'unchanged',
+        changed: false
+    });
+    const edited = await verifyProvenance(documents, 'space', 'analysis', 'abd');
+    assert.strictEqual(edited.status, 'changed');
+    assert.strictEqual(edited.changed, true);
+    const withoutText = await verifyProvenance(documents, 'space', 'analysis');
+    assert.strictEqual(withoutText.status, 'unverifiable');
+    assert.strictEqual(withoutText.changed, false);
+});
+
+test('verifyProvenance compares a source document by its paragraphs and reports it missing once deleted', async () => {
+    const source = { chapters: [{ paragraphs: [{ text: 'abc' }] }] };
+    const analysis = withProvenance({ input: { type: 'document', documentId: 'source', hash: ABC_HASH } });
+    const unchanged = await verifyProvenance(documentsOf({ source, analysis }), 'space', 'analysis');
+    assert.strictEqual(unchanged.status, 'unchanged');
+    assert.strictEqual(unchanged.currentHash, ABC_HASH);
+
+    const missing = await verifyProvenance(documentsOf({ analysis }), 'space', 'analysis');
+    assert.strictEqual(missing.status, 'missing');
+    assert.strictEqual(missing.changed, true);
+});
+
+test('verifyProvenance flags an explanation whose analysis changed its own source', async () => {
+    const documents = documentsOf({
+        source: { chapters: [{ paragraphs: [{ text: 'edited' }] }] },
+        analysis: withProvenance({ input: { type: 'document', documentId: 'source', hash: ABC_HASH } }, { content: 'abc' }),
+        explanation: withProvenance({ input: { type: 'analysis', documentId: 'analysis', hash: ABC_HASH } })
+    });
+    const report = await verifyProvenance(documents, 'space', 'explanation');
+    assert.strictEqual(report.status, 'unchanged');
+    assert.strictEqual(report.upstream.status, 'changed');
+    assert.strictEqual(report.changed, true);
+});
+
+test('verifyProvenance reports documents without a provenance record and rejects missing documents', async () => {
+    const documents = documentsOf({ old: { abstract: 'not json' }, plain: {} });
+    assert.strictEqual((await verifyProvenance(documents, 'space', 'old')).status, 'unverifiable');
+    assert.strictEqual((await verifyProvenance(documents, 'space', 'plain')).status, 'unverifiable');
+    await assert.rejects(verifyProvenance(documents, 'space', 'gone'), { message: 'Document gone not found' });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { median, medianInterval, intervalLevel, sampleStatistics, krippendorffAlpha } = require('../Statistics.js');
+
+test('krippendorffAlpha is 1 when every coder agrees on every unit', () => {
+    assert.strictEqual(krippendorffAlpha([[1, 1], [2, 2]]), 1);
+    assert.strictEqual(krippendorffAlpha([[3, 3], [3, 3]]), 1);
+});
+
+test('krippendorffAlpha matches hand-computed interval values', () => {
+    // Observed disagreement 4, expected 160 / 12
+    assert.ok(Math.abs(krippendorffAlpha([[0, 2], [4, 6]]) - 0.7) < 1e-12);
+    // Observed disagreement 1, expected 8 / 12: systematic disagreement gives a negative alpha
+    assert.ok(Math.abs(krippendorffAlpha([[1, 2], [2, 1]]) - -0.5) < 1e-12);
+    // Three coders per unit: observed 12 / 6, expected 696 / 30
+    assert.ok(Math.abs(krippendorffAlpha([[1, 2, 3], [7, 8, 9]]) - (1 - 2 / 23.2)) < 1e-12);
+});
+
+test('krippendorffAlpha leaves out units with a single value and is null without two pairable values', () => {
+    assert.strictEqual(krippendorffAlpha([[5], [0, 2], [4, 6]]), krippendorffAlpha([[0, 2], [4, 6]]));
+    assert.strictEqual(krippendorffAlpha([[5], [4]]), null);
+    assert.strictEqual(krippendorffAlpha([]), null);
+});
+
+test('median takes the middle value or the mean of the two middle values', () => {
+    assert.strictEqual(median([3, 1, 2]), 2);
+    assert.strictEqual(median([4, 1, 3, 2]), 2.5);
+});
+
+test('medianInterval picks the narrowest order statistics still covering 95%', () => {
+    // Coverage of rank r is 1 - 2 * P(Binomial(n, 1/2) < r)
+    assert.deepStrictEqual(medianInterval(5), { rank: 1, level: 1 - 2 / 32 });
+    assert.deepStrictEqual(medianInterval(6), { rank: 1, level: 1 - 2 / 64 });
+    assert.deepStrictEqual(medianInterval(9), { rank: 2, level: 1 - 2 * 10 / 512 });
+    assert.deepStrictEqual(medianInterval(10), { rank: 2, level: 1 - 2 * 11 / 1024 });
+});
+
+test('intervalLevel reports 95% for the mean and the actual coverage, rounded down, for the median', () => {
+    assert.strictEqual(intervalLevel('mean', 5), 95);
+    assert.strictEqual(intervalLevel('median', 5), 93.7);
+    assert.strictEqual(intervalLevel('median', 6), 96.8);
+    assert.strictEqual(intervalLevel('median', 9), 96);
+});
+
+test('sampleStatistics gives a t-interval of the mean', () => {
+    // sd 1, margin 4.303 / sqrt(3)
+    assert.deepStrictEqual(sampleStatistics([4, 5, 6], { aggregation: 'mean', minScore: 0, maxScore: 10 }), {
+        samples: [4, 5, 6],
+        mean: 5,
+        median: 5,
+        sd: 1,
+        ci: [2.52, 7.48],
+        ci_of: 'mean',
+        ci_level: 95
+    });
+});
+
+test('sampleStatistics keeps the t-interval within the score range', () => {
+    // Two samples: the margin is 12.706 × sd / sqrt(2) = 12.706
+    const statistics = sampleStatistics([4, 6], { aggregation: 'mean', minScore: 0, maxScore: 10 });
+    assert.deepStrictEqual(statistics.ci, [0, 10]);
+    assert.strictEqual(statistics.sd, 1.41);
+});
+
+test('sampleStatistics gives an order-statistic interval of the median', () => {
+    const fewSamples = sampleStatistics([3, 1, 2, 5, 4], { aggregation: 'median', minScore: 0, maxScore: 10 });
+    assert.deepStrictEqual(fewSamples.ci, [1, 5]);
+    assert.strictEqual(fewSamples.median, 3);
+    assert.strictEqual(fewSamples.ci_of, 'median');
+    assert.strictEqual(fewSamples.ci_level, 93.7);
+
+    const nineSamples = sampleStatistics([9, 1, 8, 2, 7, 3, 6, 4, 5], { aggregation: 'median', minScore: 0, maxScore: 10 });
+    assert.deepStrictEqual(nineSamples.ci, [2, 8]);
+    assert.strictEqual(nineSamples.ci_level, 96);
+});